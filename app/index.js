@@ -47,7 +47,9 @@ const {
     basePath,
     formatSize,
     extractZip,
-    isAbsolutePath
+    isAbsolutePath,
+    userscriptMetadata,
+    userscriptMayConnect
 } = require("./util")
 const {"sync": rimrafSync} = require("rimraf")
 const rimraf = pattern => {
@@ -439,7 +441,9 @@ app.on("ready", () => {
             delete prefs.preloadURL
             prefs.preload = joinPath(__dirname, "preload/index.js")
             prefs.nodeIntegration = false
-            prefs.nodeIntegrationInSubFrames = false
+            // Cross-origin frames can only be read by the page without
+            // strict site isolation, otherwise they relay their own links
+            prefs.nodeIntegrationInSubFrames = argSiteIsolation === "strict"
             prefs.contextIsolation = false
             prefs.enableRemoteModule = false
             prefs.webSecurity = argSiteIsolation === "strict"
@@ -822,6 +826,7 @@ ipcMain.on("create-session", (_, name, adblock, cache) => {
                     `Download finished:\n${info.name}`, "success", {
                         "path": info.file, "type": "download-success"
                     })
+                mainWindow.webContents.send("download-complete", info.url)
             } else {
                 mainWindow.webContents.send("notify",
                     `Download failed:\n${info.name}`, "warn")
@@ -1202,6 +1207,67 @@ ipcMain.on("download-favicon", (_, options) => {
     request.end()
 })
 
+// Perform requests of userscripts with the session of the page
+ipcMain.handle("userscript-request", (e, details) => new Promise(resolve => {
+    let finalUrl = details.url
+    const fail = error => resolve({
+        error, finalUrl, "readyState": 4, "status": 0, "statusText": ""
+    })
+    const code = readFile(joinPath(app.getPath("appData"),
+        "userscript", basePath(String(details.file))))
+    if (!code || !userscriptMayConnect(
+        userscriptMetadata(code), details.url, e.sender.getURL())) {
+        fail("Request blocked, the host is not in @connect or @match")
+        return
+    }
+    let request = null
+    try {
+        request = net.request({
+            "method": details.method,
+            "redirect": "follow",
+            "session": e.sender.session,
+            "url": details.url
+        })
+        Object.keys(details.headers).forEach(header => {
+            request.setHeader(header, details.headers[header])
+        })
+    } catch (err) {
+        fail(String(err))
+        return
+    }
+    request.on("redirect", (_, __, redirectUrl) => {
+        finalUrl = redirectUrl
+    })
+    request.on("response", res => {
+        const data = []
+        res.on("data", chunk => {
+            data.push(Buffer.from(chunk, "binary"))
+        })
+        res.on("end", () => {
+            const responseText = Buffer.concat(data).toString()
+            resolve({
+                finalUrl,
+                "readyState": 4,
+                "response": responseText,
+                "responseHeaders": Object.keys(res.headers).map(header => {
+                    const value = [res.headers[header]].flat().join(", ")
+                    return `${header}: ${value}`
+                }).join("\r\n"),
+                responseText,
+                "status": res.statusCode,
+                "statusText": res.statusMessage
+            })
+        })
+        res.on("error", err => fail(String(err)))
+    })
+    request.on("abort", () => fail("Request aborted"))
+    request.on("error", err => fail(String(err)))
+    if (typeof details.data === "string") {
+        request.write(details.data)
+    }
+    request.end()
+}))
+
 // Window state save and restore
 const windowStateFile = joinPath(app.getPath("appData"), "windowstate")
 ipcMain.on("window-state-init", (_, restorePos, restoreSize, restoreMax) => {
@@ -1282,9 +1348,8 @@ ipcMain.on("disable-localrtc", (_, id) => {
     webContents.fromId(id).setWebRTCIPHandlingPolicy(
         "default_public_interface_only")
 })
-ipcMain.handle("save-page", (_, id, loc) => {
-    webContents.fromId(id).savePage(loc, "HTMLComplete")
-})
+ipcMain.handle("save-page", (_, id, loc, type = "HTMLComplete") => webContents
+    .fromId(id).savePage(loc, type))
 ipcMain.on("hide-window", () => {
     if (!argDebugMode) {
         mainWindow.hide()
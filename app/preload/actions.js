@@ -114,6 +114,8 @@ const scrollPageDown = () => window.scrollBy(0, window.innerHeight - 50)
 
 const scrollPageUpHalf = () => window.scrollBy(0, -window.innerHeight / 2 + 25)
 
+const scrollToPosition = (x, y) => window.scrollTo(x, y)
+
 const focusTopLeftCorner = () => document.elementFromPoint(0, 0).focus()
 
 const exitFullscreen = () => {
@@ -146,6 +148,122 @@ const writeInputToFile = filename => {
 
 const print = () => document.execCommand("print")
 
+const markdownIgnored = [
+    "head", "iframe", "noscript", "script", "select", "style", "svg", "template"
+]
+const markdownBlocks = [
+    "address",
+    "article",
+    "aside",
+    "dd",
+    "details",
+    "div",
+    "dl",
+    "dt",
+    "figcaption",
+    "figure",
+    "footer",
+    "form",
+    "header",
+    "main",
+    "nav",
+    "p",
+    "section",
+    "summary"
+]
+
+const markdownTable = table => `\n\n${[...table.rows].map((row, index) => {
+    const cells = [...row.cells].map(cell => nodeToMarkdown(cell).trim()
+        .replace(/\s*\n\s*/g, " ").replace(/\|/g, "\\|"))
+    let line = `| ${cells.join(" | ")} |`
+    if (index === 0) {
+        line += `\n|${" --- |".repeat(cells.length)}`
+    }
+    return line
+}).join("\n")}\n\n`
+
+const nodeToMarkdown = node => {
+    if (node.nodeType === Node.TEXT_NODE) {
+        return node.textContent.replace(/\s+/g, " ")
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+        return ""
+    }
+    const tag = node.tagName.toLowerCase()
+    if (markdownIgnored.includes(tag) || node.hidden) {
+        return ""
+    }
+    if (getComputedStyle(node).display === "none") {
+        return ""
+    }
+    const inner = [...node.childNodes].map(nodeToMarkdown).join("")
+    if ((/^h[1-6]$/).test(tag)) {
+        return `\n\n${"#".repeat(Number(tag[1]))} ${inner.trim()}\n\n`
+    }
+    if (markdownBlocks.includes(tag)) {
+        return `\n\n${inner.trim()}\n\n`
+    }
+    if (tag === "br") {
+        return "\n"
+    }
+    if (tag === "hr") {
+        return "\n\n---\n\n"
+    }
+    if (tag === "pre") {
+        return `\n\n\`\`\`\n${node.textContent.replace(/\n$/, "")}\n\`\`\`\n\n`
+    }
+    if (tag === "code") {
+        return `\`${node.textContent}\``
+    }
+    if (["b", "strong"].includes(tag) && inner.trim()) {
+        return `**${inner.trim()}**`
+    }
+    if (["em", "i"].includes(tag) && inner.trim()) {
+        return `*${inner.trim()}*`
+    }
+    if (tag === "a" && node.href && inner.trim()) {
+        return `[${inner.trim()}](${node.href})`
+    }
+    if (tag === "img" && node.src) {
+        return `![${node.alt || ""}](${node.src})`
+    }
+    if (tag === "blockquote") {
+        return `\n\n${inner.trim().split("\n")
+            .map(line => `> ${line}`).join("\n")}\n\n`
+    }
+    if (["ol", "ul"].includes(tag)) {
+        return `\n\n${inner}\n\n`
+    }
+    if (tag === "li") {
+        let bullet = "- "
+        if (node.parentNode?.tagName?.toLowerCase() === "ol") {
+            bullet = `${[...node.parentNode.children].indexOf(node) + 1}. `
+        }
+        const content = inner.trim().replace(/\n{2,}/g, "\n")
+            .replace(/\n/g, "\n    ")
+        return `\n${bullet}${content}`
+    }
+    if (tag === "table") {
+        return markdownTable(node)
+    }
+    return inner
+}
+
+const writePageText = (loc, type) => {
+    let text = document.body?.innerText || ""
+    if (type === "markdown") {
+        text = nodeToMarkdown(document.body || document.documentElement)
+            .split("\n").map(line => line.replace(/^ (?=\S)/, "").trimEnd())
+            .join("\n").replace(/\n{3,}/g, "\n\n").trim()
+    }
+    if (writeFile(loc, `${text}\n`)) {
+        ipcRenderer.sendToHost("notify", `Page saved at '${loc}'`)
+    } else {
+        ipcRenderer.sendToHost("notify",
+            `Could not save the page to '${loc}'`, "err")
+    }
+}
+
 const installFirefoxExtension = () => {
     const link = Array.from(document.querySelectorAll("a") || []).find(
         a => a.href?.endsWith(".xpi"))?.href
@@ -176,10 +294,12 @@ const functions = {
     scrollPageUp,
     scrollPageUpHalf,
     scrollRight,
+    scrollToPosition,
     scrollTop,
     scrollUp,
     setInputFieldText,
-    writeInputToFile
+    writeInputToFile,
+    writePageText
 }
 
 ipcRenderer.on("action", (_, name, ...args) => {
@@ -0,0 +1,125 @@
+/*
+* Vieb - Vim Inspired Electron Browser
+* Copyright (C) 2021 Jelmer van Arnhem
+*
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU General Public License as published by
+* the Free Software Foundation, either version 3 of the License, or
+* (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU General Public License for more details.
+*
+* You should have received a copy of the GNU General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+"use strict"
+
+const {ipcRenderer} = require("electron")
+const {joinPath} = require("../util")
+
+const filterList = () => {
+    const filter = document.getElementById("filter").value.trim().toLowerCase()
+    const bookmarkElements = [...document.querySelectorAll(".bookmark")]
+    bookmarkElements.forEach(bookmark => {
+        if (bookmark.textContent.toLowerCase().includes(filter)) {
+            bookmark.style.display = ""
+        } else {
+            bookmark.style.display = "none"
+        }
+    })
+    // Only show the folders that have visible bookmarks
+    document.querySelectorAll("#list h2").forEach(folder => {
+        const visible = bookmarkElements.find(b => b.style.display !== "none"
+            && b.getAttribute("folder") === folder.textContent)
+        if (visible) {
+            folder.style.display = ""
+        } else {
+            folder.style.display = "none"
+        }
+    })
+    const anyResult = bookmarkElements.find(b => b.style.display !== "none")
+    if (!bookmarkElements.length || anyResult) {
+        document.getElementById("no-results").style.display = "none"
+    } else {
+        document.getElementById("no-results").style.display = ""
+    }
+}
+
+const addBookmarkToList = (list, bookmark) => {
+    const bookmarkElement = document.createElement("div")
+    bookmarkElement.className = "bookmark"
+    bookmarkElement.setAttribute("folder", bookmark.folder || "/")
+    if (bookmark.icon) {
+        const icon = document.createElement("img")
+        icon.src = bookmark.icon
+        icon.className = "favicon"
+        bookmarkElement.appendChild(icon)
+    }
+    const title = document.createElement("span")
+    title.textContent = bookmark.title || bookmark.url
+    bookmarkElement.appendChild(title)
+    const remove = document.createElement("img")
+    remove.src = joinPath(__dirname, "../img/trash.png")
+    remove.className = "remove"
+    remove.addEventListener("click", () => {
+        ipcRenderer.sendToHost(
+            "bookmarks-list-request", "remove", bookmark.url)
+    })
+    bookmarkElement.appendChild(remove)
+    const url = document.createElement("a")
+    url.textContent = bookmark.url
+    url.addEventListener("click", e => {
+        ipcRenderer.sendToHost("bookmarks-list-request", "open", bookmark.url)
+        e.preventDefault()
+    })
+    bookmarkElement.appendChild(url)
+    const details = []
+    if (bookmark.tags.length) {
+        details.push(`Tags: ${bookmark.tags.join(", ")}`)
+    }
+    if (bookmark.keyword) {
+        details.push(`Keyword: ${bookmark.keyword}`)
+    }
+    if (bookmark.container) {
+        details.push(`Container: ${bookmark.container}`)
+    }
+    if (details.length) {
+        const detailsElement = document.createElement("span")
+        detailsElement.className = "details"
+        detailsElement.textContent = details.join(" - ")
+        bookmarkElement.appendChild(detailsElement)
+    }
+    list.appendChild(bookmarkElement)
+}
+
+const receiveBookmarks = bookmarks => {
+    const scrollPosition = window.scrollY
+    const list = document.createElement("div")
+    list.id = "list"
+    const folders = [...new Set(bookmarks.map(b => b.folder || "/"))].sort()
+    folders.forEach(folder => {
+        const header = document.createElement("h2")
+        header.textContent = folder
+        list.appendChild(header)
+        bookmarks.filter(b => (b.folder || "/") === folder)
+            .sort((a, b) => (a.title || a.url).localeCompare(b.title || b.url))
+            .forEach(b => addBookmarkToList(list, b))
+    })
+    if (bookmarks.length === 0) {
+        list.textContent = "No bookmarks have been added yet"
+    }
+    document.getElementById("list").parentNode.replaceChild(
+        list, document.getElementById("list"))
+    filterList()
+    window.scrollTo(0, scrollPosition)
+}
+
+window.addEventListener("load", () => {
+    document.getElementById("filter").addEventListener("input", filterList)
+    ipcRenderer.sendToHost("bookmarks-list-request")
+})
+
+ipcRenderer.on("bookmarks-list", (_, b) => receiveBookmarks(JSON.parse(b)))
@@ -0,0 +1,203 @@
+/*
+* Vieb - Vim Inspired Electron Browser
+* Copyright (C) 2021 Jelmer van Arnhem
+*
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU General Public License as published by
+* the Free Software Foundation, either version 3 of the License, or
+* (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU General Public License for more details.
+*
+* You should have received a copy of the GNU General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+"use strict"
+
+const {ipcRenderer} = require("electron")
+const {
+    appData, joinPath, readJSON, pathToSpecialPageName
+} = require("../util")
+
+const webviewSettingsFile = joinPath(appData(), "webviewsettings")
+const filterStyle = `html {
+    filter: invert(1) hue-rotate(180deg) !important;
+}
+img, video, picture, canvas, embed, object, iframe, svg image,
+[style*="background-image"] {
+    filter: invert(1) hue-rotate(180deg) !important;
+}`
+const smartProperties = {
+    "background-color": "dark",
+    "border-bottom-color": "light",
+    "border-left-color": "light",
+    "border-right-color": "light",
+    "border-top-color": "light",
+    "color": "light"
+}
+const originalStyles = new Map()
+let styleElement = null
+let observer = null
+let currentMode = "off"
+
+const parseColor = color => {
+    const [r, g, b, a = 1] = (color.match(/[\d.]+/g) || []).map(Number)
+    if (b === undefined || a === 0) {
+        return null
+    }
+    return {a, b, g, r}
+}
+
+const adjustedColor = (color, target) => {
+    // Mirror the lightness of the color, but only if it's too bright for
+    // backgrounds or too dark for text, keeping the hue and saturation intact
+    const parsed = parseColor(color)
+    if (!parsed) {
+        return null
+    }
+    const {r, g, b, a} = parsed
+    const max = Math.max(r, g, b) / 255
+    const min = Math.min(r, g, b) / 255
+    const lightness = (max + min) / 2
+    if (target === "dark" && lightness <= 0.5) {
+        return null
+    }
+    if (target === "light" && lightness >= 0.5) {
+        return null
+    }
+    const shift = (1 - lightness * 2) * 255
+    const channel = c => Math.round(Math.min(255, Math.max(0, c + shift)))
+    return `rgba(${channel(r)}, ${channel(g)}, ${channel(b)}, ${a})`
+}
+
+const darkenElement = element => {
+    if (originalStyles.has(element) || !element.style) {
+        return
+    }
+    const computed = getComputedStyle(element)
+    const original = {}
+    Object.keys(smartProperties).forEach(property => {
+        const adjusted = adjustedColor(computed.getPropertyValue(property),
+            smartProperties[property])
+        if (adjusted) {
+            original[property] = [
+                element.style.getPropertyValue(property),
+                element.style.getPropertyPriority(property)
+            ]
+            element.style.setProperty(property, adjusted, "important")
+        }
+    })
+    originalStyles.set(element, original)
+}
+
+const darkenTree = root => {
+    if (root.nodeType !== Node.ELEMENT_NODE) {
+        return
+    }
+    darkenElement(root)
+    root.querySelectorAll("*").forEach(darkenElement)
+}
+
+const restoreElement = (original, element) => {
+    Object.keys(original).forEach(property => {
+        const [value, priority] = original[property]
+        if (value) {
+            element.style.setProperty(property, value, priority)
+        } else {
+            element.style.removeProperty(property)
+        }
+    })
+}
+
+const restoreElements = () => {
+    originalStyles.forEach(restoreElement)
+    originalStyles.clear()
+}
+
+const darkenDocumentElement = () => {
+    const html = document.documentElement
+    if (originalStyles.has(html)) {
+        // Restore the saved styles first to darken the current colors again
+        restoreElement(originalStyles.get(html), html)
+        originalStyles.delete(html)
+    }
+    if (!parseColor(getComputedStyle(html).backgroundColor)) {
+        // Pages without any background color are white by default
+        originalStyles.set(html, {"background-color": [
+            html.style.getPropertyValue("background-color"),
+            html.style.getPropertyPriority("background-color")
+        ]})
+        html.style.setProperty("background-color",
+            adjustedColor("rgb(255, 255, 255)", "dark"), "important")
+    }
+    darkenElement(html)
+}
+
+const startSmartMode = () => {
+    if (currentMode !== "smart" || observer) {
+        return
+    }
+    const html = document.documentElement
+    darkenDocumentElement()
+    darkenTree(html)
+    observer = new MutationObserver(mutations => {
+        mutations.forEach(mutation => {
+            mutation.addedNodes.forEach(darkenTree)
+        })
+    })
+    observer.observe(html, {"childList": true, "subtree": true})
+}
+
+const stopAll = () => {
+    styleElement?.remove()
+    styleElement = null
+    observer?.disconnect()
+    observer = null
+    restoreElements()
+}
+
+const wantedMode = () => {
+    if (pathToSpecialPageName(window.location.href).name) {
+        return "off"
+    }
+    const settings = readJSON(webviewSettingsFile) || {}
+    const exception = (settings.darkpagesexceptions || "").split(",")
+        .find(p => p.trim() && window.location.href.match(p))
+    if (exception) {
+        return "off"
+    }
+    return settings.darkpages || "off"
+}
+
+const applyDarkPages = () => {
+    const mode = wantedMode()
+    if (mode === currentMode || !document.documentElement) {
+        return
+    }
+    stopAll()
+    currentMode = mode
+    if (mode === "filter") {
+        styleElement = document.createElement("style")
+        styleElement.textContent = filterStyle
+        document.documentElement.appendChild(styleElement)
+    }
+    if (mode === "smart") {
+        if (document.readyState === "loading") {
+            window.addEventListener("DOMContentLoaded", startSmartMode)
+        } else {
+            startSmartMode()
+        }
+    }
+}
+
+window.addEventListener("DOMContentLoaded", applyDarkPages)
+window.addEventListener("load", () => {
+    if (currentMode === "smart") {
+        // The default colors of the page might have been changed on load
+        darkenDocumentElement()
+    }
+})
+ipcRenderer.on("webview-settings-updated", applyDarkPages)
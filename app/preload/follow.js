@@ -19,43 +19,31 @@
 
 const {ipcRenderer} = require("electron")
 const {privacyFixes} = require("./privacy")
+const {
+    crossOriginFrameRects,
+    getInputFollows,
+    getLinkFollows,
+    parseElement,
+    requestFrameLinks,
+    textlikeInputs
+} = require("./followlinks")
 const {
     findElementAtPosition,
     querySelectorAll,
-    propPixels,
     findFrameInfo,
-    findClickPosition,
     frameSelector,
-    activeElement
+    activeElement,
+    appData,
+    joinPath,
+    readJSON
 } = require("../util")
 
+const webviewSettingsFile = joinPath(appData(), "webviewsettings")
 let inFollowMode = false
+let customSelectors = {"exclude": "", "include": ""}
+let frameReports = {}
+let requestedFrameIds = new Set()
 
-const clickableInputs = [
-    "button",
-    "input[type=\"button\"]",
-    "input[type=\"radio\"]",
-    "input[type=\"checkbox\"]",
-    "label[for]:not([for=\"\"])",
-    "input[type=\"submit\"]",
-    "input[type=\"file\"]",
-    "input[type=\"image\"]",
-    "input[type=\"reset\"]",
-    "*[role=\"button\"]",
-    "*[role=\"radio\"]",
-    "*[role=\"checkbox\"]",
-    "summary"
-].join(",")
-const textlikeInputs = [
-    "input:not([type=\"radio\"]):not([type=\"checkbox\"])"
-    + ":not([type=\"submit\"]):not([type=\"button\"])"
-    + ":not([type=\"file\"]):not([type=\"image\"]):not([type=\"reset\"])",
-    "[role=\"textbox\"]",
-    "[contenteditable=\"true\"]",
-    "[contenteditable=\"\"]",
-    "textarea",
-    "select"
-].join(",")
 const clickEvents = ["click", "mousedown", "mouseup"]
 const otherEvents = [
     "mouseenter",
@@ -90,58 +78,15 @@ ipcRenderer.on("focus-input", async(_, follow = null) => {
     }
 })
 
-const getLinkFollows = allLinks => {
-    // A tags with href as the link, can be opened in new tab or current tab
-    querySelectorAll("a").forEach(e => {
-        const baseLink = parseElement(e, "url")
-        if (baseLink) {
-            allLinks.push(baseLink)
-        } else {
-            // Try sub-elements instead, for example if the link is not
-            // visible or `display: none`, but a sub-element is absolutely
-            // positioned somewhere else.
-            allLinks.push(...Array.from(e?.querySelectorAll("*") || [])
-                .map(c => parseElement(c, "url")).filter(l => l))
-        }
-    })
-}
-
-const getInputFollows = allLinks => {
-    // Input tags such as checkboxes, can be clicked but have no text input
-    const inputs = [...querySelectorAll(clickableInputs)]
-    inputs.push(...[...querySelectorAll("input")].map(
-        e => e.closest("label")).filter(e => e && !inputs.includes(e)))
-    inputs.forEach(element => {
-        let type = "inputs-click"
-        if (element.tagName.toLowerCase() === "label") {
-            const labelFor = element.getAttribute("for")
-            if (labelFor) {
-                try {
-                    const forEl = element.closest(`#${labelFor}`)
-                    if (forEl?.matches?.(textlikeInputs)) {
-                        type = "inputs-insert"
-                    }
-                } catch (_) {
-                    // Invalid label, not a valid selector, assuming click input
-                }
-            } else if (element.querySelector(textlikeInputs)) {
-                type = "inputs-insert"
-            }
-        }
-        const clickable = parseElement(element, type)
-        if (clickable) {
-            allLinks.push(clickable)
-        }
-    })
-    // Input tags such as email and text, can have text inserted
-    allLinks.push(
-        ...allElementsBySelector("inputs-insert", textlikeInputs))
-}
+ipcRenderer.on("focus-element", (_, follow) => {
+    findElementAtPosition(follow.x, follow.y)?.focus?.()
+})
 
 const getMouseFollows = allLinks => {
     // Elements with some kind of mouse interaction, grouped by click and other
     const addMouseEventElement = (element, type) => {
-        const clickable = parseElement(element, type)
+        const clickable = parseElement(
+            element, type, customSelectors.exclude)
         if (clickable) {
             allLinks.push(clickable)
         }
@@ -156,11 +101,85 @@ const getMouseFollows = allLinks => {
         .forEach(element => addMouseEventElement(element, "other"))
 }
 
+const selectorsForPage = entries => (entries || "").split(",")
+    .filter(entry => entry.includes("~")).filter(entry => {
+        try {
+            return window.location.href.match(entry.split("~")[0])
+        } catch (_) {
+            return false
+        }
+    }).map(entry => entry.split("~").slice(1).join("~")).join(",")
+
+const loadCustomSelectors = () => {
+    const settings = readJSON(webviewSettingsFile) || {}
+    customSelectors = {
+        "exclude": selectorsForPage(settings.followexclude),
+        "include": selectorsForPage(settings.followinclude)
+    }
+}
+
+const getCustomFollows = allLinks => {
+    // Extra elements for this page from the followinclude setting
+    if (!customSelectors.include) {
+        return
+    }
+    querySelectorAll(customSelectors.include).forEach(element => {
+        let type = "onclick"
+        if (element.matches(textlikeInputs)) {
+            type = "inputs-insert"
+        } else if (element.matches("a")) {
+            type = "url"
+        }
+        const clickable = parseElement(
+            element, type, customSelectors.exclude)
+        const duplicate = allLinks.find(l => clickable && l.x === clickable.x
+            && l.y === clickable.y && l.width === clickable.width
+            && l.height === clickable.height)
+        if (clickable && !duplicate) {
+            allLinks.push(clickable)
+        }
+    })
+}
+
+const getFrameFollows = allLinks => {
+    // Links of frames are relative to the frame, so they are moved to the
+    // position of the frame and only kept if they are visible inside of it.
+    const addFrameLinks = (id, rect, parents) => {
+        const report = frameReports[id]
+        if (!report || parents.includes(id)) {
+            return
+        }
+        allLinks.push(...report.links.map(link => ({
+            ...link, "frame": true, "x": link.x + rect.x, "y": link.y + rect.y
+        })).filter(link => {
+            const x = link.x + link.width / 2
+            const y = link.y + link.height / 2
+            const inFrame = x >= rect.x && y >= rect.y
+                && x <= rect.x + rect.width && y <= rect.y + rect.height
+            return inFrame && x >= 0 && y >= 0
+                && x <= window.innerWidth && y <= window.innerHeight
+        }))
+        Object.keys(report.frames).forEach(childId => {
+            const child = report.frames[childId]
+            addFrameLinks(childId, {
+                "height": Math.min(child.height, rect.height - child.y),
+                "width": Math.min(child.width, rect.width - child.x),
+                "x": rect.x + child.x,
+                "y": rect.y + child.y
+            }, [...parents, id])
+        })
+    }
+    const rects = crossOriginFrameRects()
+    Object.keys(rects).forEach(id => addFrameLinks(id, rects[id], []))
+}
+
 const getAllFollowLinks = () => {
     const allLinks = []
-    getLinkFollows(allLinks)
-    getInputFollows(allLinks)
+    getLinkFollows(allLinks, customSelectors.exclude)
+    getInputFollows(allLinks, customSelectors.exclude)
     getMouseFollows(allLinks)
+    getCustomFollows(allLinks)
+    getFrameFollows(allLinks)
     // Ordered by the position on the page from the top
     // Uncategorised mouse events are less relevant and are moved to the end
     return allLinks.sort((el1, el2) => {
@@ -173,6 +192,7 @@ const getAllFollowLinks = () => {
 
 const sendFollowLinks = () => {
     if (inFollowMode) {
+        requestFrameLinks().forEach(id => requestedFrameIds.add(id))
         ipcRenderer.sendToHost("follow-response", getAllFollowLinks())
     }
 }
@@ -180,10 +200,25 @@ const sendFollowLinks = () => {
 ipcRenderer.on("follow-mode-start", () => {
     if (!inFollowMode) {
         inFollowMode = true
+        frameReports = {}
+        requestedFrameIds = new Set()
+        loadCustomSelectors()
         sendFollowLinks()
     }
 })
 
+ipcRenderer.on("follow-frame-response", (_, id, links, frames) => {
+    // Reports are only accepted from frames that were asked for their links,
+    // either by this page or by one of the frames that already reported
+    const requested = requestedFrameIds.has(id) || Object.values(frameReports)
+        .some(report => Object.keys(report.frames).includes(id))
+    if (!inFollowMode || !requested || !Array.isArray(links)) {
+        return
+    }
+    frameReports[id] = {"frames": frames || {}, links}
+    ipcRenderer.sendToHost("follow-response", getAllFollowLinks())
+})
+
 ipcRenderer.on("follow-mode-stop", () => {
     inFollowMode = false
 })
@@ -193,111 +228,6 @@ ipcRenderer.on("follow-mode-stop", () => {
 setInterval(sendFollowLinks, 1000)
 window.addEventListener("resize", sendFollowLinks)
 
-const pseudoElementRects = element => {
-    const base = element.getBoundingClientRect()
-    const rects = []
-    for (const pseudoType of ["before", "after"]) {
-        const pseudo = getComputedStyle(element, `::${pseudoType}`)
-        const width = propPixels(pseudo, "width")
-        const height = propPixels(pseudo, "height")
-        if (height && width) {
-            const pseudoDims = JSON.parse(JSON.stringify(base))
-            const top = propPixels(pseudo, "top")
-            const left = propPixels(pseudo, "left")
-            const marginTop = propPixels(pseudo, "marginTop")
-            const marginLeft = propPixels(pseudo, "marginLeft")
-            pseudoDims.width = width
-            pseudoDims.height = height
-            pseudoDims.x += left + marginLeft
-            pseudoDims.y += top + marginTop
-            rects.push(pseudoDims)
-        }
-    }
-    return rects
-}
-
-const rectOutsideWindow = r => r.bottom < 0 || r.top > window.innerHeight
-    || r.right < 0 || r.left > window.innerWidth
-
-const parseElement = (element, type) => {
-    // The body shouldn't be considered clickable on it's own,
-    // Even if listeners are added to it.
-    // Also checks if the element actually has rects.
-    const excluded = [document.body, document.documentElement]
-    if (!element.getClientRects || excluded.includes(element)) {
-        return null
-    }
-    // First (quickly) check that element is visible at all
-    const boundingRect = element.getBoundingClientRect()
-    if (rectOutsideWindow(boundingRect)) {
-        return null
-    }
-    if (getComputedStyle(element).visibility === "hidden") {
-        return null
-    }
-    // Make a list of all possible bounding rects for the element
-    let rects = [boundingRect, ...element.getClientRects()]
-    for (const sub of Array.from(element?.querySelectorAll("img, svg") || [])) {
-        rects = rects.concat([
-            sub.getBoundingClientRect(), ...sub.getClientRects()
-        ])
-    }
-    rects = rects.concat(pseudoElementRects(element))
-    const paddingInfo = findFrameInfo(element)
-    if (paddingInfo) {
-        rects = rects.map(r => {
-            r.x += paddingInfo.x
-            r.y += paddingInfo.y
-            return r
-        })
-    }
-    // Find a clickable area and position for the given element
-    const {dimensions, clickable} = findClickPosition(element, rects)
-    // Return null if any of the checks below fail
-    // - Not detected as clickable in the above loop
-    // - Too small to properly click on using a regular browser
-    const tooSmall = dimensions.width <= 2 || dimensions.height <= 2
-    // - The element isn't actually visible on the user's current window
-    const outsideWindow = rectOutsideWindow(dimensions)
-    // - The element is too big to actually make sense to click on by choice
-    const tooBig = dimensions.width >= window.innerWidth
-        || dimensions.height >= window.innerHeight
-    if (!clickable || tooSmall || outsideWindow || tooBig) {
-        return null
-    }
-    // The element should be clickable and is returned in a parsed format
-    let href = String(element.href || "")
-    let typeOverride = false
-    if (type === "url") {
-        // Set links to the current page as type 'other'
-        if (!element.href) {
-            typeOverride = "other"
-        } else if (element.href === window.location.href) {
-            typeOverride = "other"
-        } else if (element.href === `${window.location.href}#`) {
-            typeOverride = "other"
-        }
-        // Empty the href for links that require a specific data method to open
-        // These will use clicks instead of direct navigation to work correctly
-        const dataMethod = element.getAttribute("data-method")?.toLowerCase()
-        if (dataMethod && dataMethod !== "get") {
-            href = ""
-        }
-    }
-    return {
-        "height": dimensions.height,
-        "type": typeOverride || type,
-        "url": href,
-        "width": dimensions.width,
-        "x": dimensions.x,
-        "y": dimensions.y
-    }
-}
-
-const allElementsBySelector
-= (type, selector) => [...querySelectorAll(selector)]
-    .map(element => parseElement(element, type)).filter(e => e)
-
 const eventListeners = {}
 ;[...clickEvents, ...otherEvents].forEach(e => {
     eventListeners[e] = new WeakSet()
@@ -0,0 +1,41 @@
+/*
+* Vieb - Vim Inspired Electron Browser
+* Copyright (C) 2021 Jelmer van Arnhem
+*
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU General Public License as published by
+* the Free Software Foundation, either version 3 of the License, or
+* (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU General Public License for more details.
+*
+* You should have received a copy of the GNU General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+"use strict"
+
+const {ipcRenderer} = require("electron")
+
+window.addEventListener("message", e => {
+    // Only the parent frame can request the links of a subframe,
+    // but the links themselves are never sent to the parent frame directly.
+    const id = e.data?.viebFollowRequest
+    if (e.source !== window.parent || typeof id !== "string") {
+        return
+    }
+    const {
+        crossOriginFrameRects,
+        getInputFollows,
+        getLinkFollows,
+        requestFrameLinks
+    } = require("./followlinks")
+    requestFrameLinks()
+    const links = []
+    getLinkFollows(links)
+    getInputFollows(links)
+    ipcRenderer.sendToHost(
+        "follow-frame-response", id, links, crossOriginFrameRects())
+})
@@ -0,0 +1,259 @@
+/*
+* Vieb - Vim Inspired Electron Browser
+* Copyright (C) 2021 Jelmer van Arnhem
+*
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU General Public License as published by
+* the Free Software Foundation, either version 3 of the License, or
+* (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU General Public License for more details.
+*
+* You should have received a copy of the GNU General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+"use strict"
+
+const {
+    querySelectorAll,
+    propPixels,
+    findFrameInfo,
+    findClickPosition,
+    frameSelector
+} = require("../util")
+
+// Cross-origin frames get an id from their parent frame, which they use to
+// report their links to Vieb, which passes them on to the main frame.
+const frameIds = new WeakMap()
+
+const clickableInputs = [
+    "button",
+    "input[type=\"button\"]",
+    "input[type=\"radio\"]",
+    "input[type=\"checkbox\"]",
+    "label[for]:not([for=\"\"])",
+    "input[type=\"submit\"]",
+    "input[type=\"file\"]",
+    "input[type=\"image\"]",
+    "input[type=\"reset\"]",
+    "*[role=\"button\"]",
+    "*[role=\"radio\"]",
+    "*[role=\"checkbox\"]",
+    "summary"
+].join(",")
+const textlikeInputs = [
+    "input:not([type=\"radio\"]):not([type=\"checkbox\"])"
+    + ":not([type=\"submit\"]):not([type=\"button\"])"
+    + ":not([type=\"file\"]):not([type=\"image\"]):not([type=\"reset\"])",
+    "[role=\"textbox\"]",
+    "[contenteditable=\"true\"]",
+    "[contenteditable=\"\"]",
+    "textarea",
+    "select"
+].join(",")
+
+const pseudoElementRects = element => {
+    const base = element.getBoundingClientRect()
+    const rects = []
+    for (const pseudoType of ["before", "after"]) {
+        const pseudo = getComputedStyle(element, `::${pseudoType}`)
+        const width = propPixels(pseudo, "width")
+        const height = propPixels(pseudo, "height")
+        if (height && width) {
+            const pseudoDims = JSON.parse(JSON.stringify(base))
+            const top = propPixels(pseudo, "top")
+            const left = propPixels(pseudo, "left")
+            const marginTop = propPixels(pseudo, "marginTop")
+            const marginLeft = propPixels(pseudo, "marginLeft")
+            pseudoDims.width = width
+            pseudoDims.height = height
+            pseudoDims.x += left + marginLeft
+            pseudoDims.y += top + marginTop
+            rects.push(pseudoDims)
+        }
+    }
+    return rects
+}
+
+const rectOutsideWindow = r => r.bottom < 0 || r.top > window.innerHeight
+    || r.right < 0 || r.left > window.innerWidth
+
+const parseElement = (element, type, exclude = "") => {
+    // The body shouldn't be considered clickable on it's own,
+    // Even if listeners are added to it.
+    // Also checks if the element actually has rects.
+    const excluded = [document.body, document.documentElement]
+    if (!element.getClientRects || excluded.includes(element)) {
+        return null
+    }
+    // Elements can be excluded for specific pages with followexclude
+    if (exclude && element.matches(exclude)) {
+        return null
+    }
+    // First (quickly) check that element is visible at all
+    const boundingRect = element.getBoundingClientRect()
+    if (rectOutsideWindow(boundingRect)) {
+        return null
+    }
+    if (getComputedStyle(element).visibility === "hidden") {
+        return null
+    }
+    // Make a list of all possible bounding rects for the element
+    let rects = [boundingRect, ...element.getClientRects()]
+    for (const sub of Array.from(element?.querySelectorAll("img, svg") || [])) {
+        rects = rects.concat([
+            sub.getBoundingClientRect(), ...sub.getClientRects()
+        ])
+    }
+    rects = rects.concat(pseudoElementRects(element))
+    const paddingInfo = findFrameInfo(element)
+    if (paddingInfo) {
+        rects = rects.map(r => {
+            r.x += paddingInfo.x
+            r.y += paddingInfo.y
+            return r
+        })
+    }
+    // Find a clickable area and position for the given element
+    const {dimensions, clickable} = findClickPosition(element, rects)
+    // Return null if any of the checks below fail
+    // - Not detected as clickable in the above loop
+    // - Too small to properly click on using a regular browser
+    const tooSmall = dimensions.width <= 2 || dimensions.height <= 2
+    // - The element isn't actually visible on the user's current window
+    const outsideWindow = rectOutsideWindow(dimensions)
+    // - The element is too big to actually make sense to click on by choice
+    const tooBig = dimensions.width >= window.innerWidth
+        || dimensions.height >= window.innerHeight
+    if (!clickable || tooSmall || outsideWindow || tooBig) {
+        return null
+    }
+    // The element should be clickable and is returned in a parsed format
+    let href = String(element.href || "")
+    let typeOverride = false
+    if (type === "url") {
+        // Set links to the current page as type 'other'
+        if (!element.href) {
+            typeOverride = "other"
+        } else if (element.href === window.location.href) {
+            typeOverride = "other"
+        } else if (element.href === `${window.location.href}#`) {
+            typeOverride = "other"
+        }
+        // Empty the href for links that require a specific data method to open
+        // These will use clicks instead of direct navigation to work correctly
+        const dataMethod = element.getAttribute("data-method")?.toLowerCase()
+        if (dataMethod && dataMethod !== "get") {
+            href = ""
+        }
+    }
+    // The text and title are used when yanking the text of a link
+    const text = [
+        element.textContent,
+        element.value,
+        element.alt,
+        element.placeholder,
+        element.getAttribute("aria-label")
+    ].find(t => typeof t === "string" && t.trim()) || ""
+    return {
+        "height": dimensions.height,
+        "text": text.replace(/\s+/g, " ").trim().slice(0, 200),
+        "title": element.getAttribute("title") || "",
+        "type": typeOverride || type,
+        "url": href,
+        "width": dimensions.width,
+        "x": dimensions.x,
+        "y": dimensions.y
+    }
+}
+
+const allElementsBySelector
+= (type, selector, exclude) => [...querySelectorAll(selector)]
+    .map(element => parseElement(element, type, exclude)).filter(e => e)
+
+const getLinkFollows = (allLinks, exclude = "") => {
+    // A tags with href as the link, can be opened in new tab or current tab
+    querySelectorAll("a").forEach(e => {
+        const baseLink = parseElement(e, "url", exclude)
+        if (baseLink) {
+            allLinks.push(baseLink)
+        } else {
+            // Try sub-elements instead, for example if the link is not
+            // visible or `display: none`, but a sub-element is absolutely
+            // positioned somewhere else.
+            allLinks.push(...Array.from(e?.querySelectorAll("*") || [])
+                .map(c => parseElement(c, "url", exclude)).filter(l => l))
+        }
+    })
+}
+
+const getInputFollows = (allLinks, exclude = "") => {
+    // Input tags such as checkboxes, can be clicked but have no text input
+    const inputs = [...querySelectorAll(clickableInputs)]
+    inputs.push(...[...querySelectorAll("input")].map(
+        e => e.closest("label")).filter(e => e && !inputs.includes(e)))
+    inputs.forEach(element => {
+        let type = "inputs-click"
+        if (element.tagName.toLowerCase() === "label") {
+            const labelFor = element.getAttribute("for")
+            if (labelFor) {
+                try {
+                    const forEl = element.closest(`#${labelFor}`)
+                    if (forEl?.matches?.(textlikeInputs)) {
+                        type = "inputs-insert"
+                    }
+                } catch (_) {
+                    // Invalid label, not a valid selector, assuming click input
+                }
+            } else if (element.querySelector(textlikeInputs)) {
+                type = "inputs-insert"
+            }
+        }
+        const clickable = parseElement(element, type, exclude)
+        if (clickable) {
+            allLinks.push(clickable)
+        }
+    })
+    // Input tags such as email and text, can have text inserted
+    allLinks.push(
+        ...allElementsBySelector("inputs-insert", textlikeInputs, exclude))
+}
+
+const crossOriginFrames = () => querySelectorAll(frameSelector)
+    .filter(f => !f.contentDocument && f.contentWindow)
+
+const frameIdFor = frame => {
+    if (!frameIds.has(frame)) {
+        frameIds.set(frame, Math.random().toString(36).slice(2))
+    }
+    return frameIds.get(frame)
+}
+
+const crossOriginFrameRects = () => {
+    const rects = {}
+    crossOriginFrames().forEach(frame => {
+        const {x, y} = findFrameInfo(frame)
+        rects[frameIdFor(frame)] = {
+            "height": frame.clientHeight, "width": frame.clientWidth, x, y
+        }
+    })
+    return rects
+}
+
+const requestFrameLinks = () => crossOriginFrames().map(frame => {
+    const id = frameIdFor(frame)
+    frame.contentWindow.postMessage({"viebFollowRequest": id}, "*")
+    return id
+})
+
+module.exports = {
+    crossOriginFrameRects,
+    getInputFollows,
+    getLinkFollows,
+    parseElement,
+    requestFrameLinks,
+    textlikeInputs
+}
@@ -17,53 +17,67 @@
 */
 "use strict"
 
-// Always load the misc action functions (such as scrolling before page loads)
-require("./actions")
-// Always load follow mode JavaScript
-require("./follow")
-// Always load selection function code (for visual mode)
-require("./select")
-// Always load the failed page information handler
-require("./failedload")
-// Always load the local directory browser
-require("./filebrowser")
-// Always load the privacy related fixes
-require("./privacy")
+if (process.isMainFrame) {
+    // Always load the misc action functions (such as scrolling before load)
+    require("./actions")
+    // Always load follow mode JavaScript
+    require("./follow")
+    // Always load selection function code (for visual mode)
+    require("./select")
+    // Always load the failed page information handler
+    require("./failedload")
+    // Always load the local directory browser
+    require("./filebrowser")
+    // Always load the privacy related fixes
+    require("./privacy")
+    // Always load the userscripts that match the page
+    require("./userscripts")
 
-// Load the special page specific JavaScript
-const {pathToSpecialPageName, appData, readJSON, joinPath} = require("../util")
-const specialPage = pathToSpecialPageName(window.location.href)
-if (specialPage.name) {
-    require(`./${specialPage.name}`)
-}
-// Load Vieb settings that are relevant for the webview
-const webviewSettingsFile = joinPath(appData(), "webviewsettings")
-const settings = readJSON(webviewSettingsFile)
-
-// Change the colors to $FG text on $BG background for plain text pages
-// Change the background to white for regular pages with no explicit background
-window.addEventListener("load", () => {
-    if (!document.querySelector("html")) {
-        return
-    }
-    if (document.body?.classList.contains("specialpage")) {
-        return
+    // Load the special page specific JavaScript
+    const {
+        pathToSpecialPageName, appData, readJSON, joinPath
+    } = require("../util")
+    const specialPage = pathToSpecialPageName(window.location.href)
+    if (specialPage.name) {
+        require(`./${specialPage.name}`)
     }
-    if (document.head?.innerText === "") {
-        document.querySelector("html").style.color = settings?.fg || "#eee"
-        document.querySelector("html").style.background = settings?.bg || "#333"
-        return
-    }
-    const html = getComputedStyle(document.querySelector("html")).background
-    const body = getComputedStyle(document.body).background
-    const unset = "rgba(0, 0, 0, 0)"
-    if (html.includes(unset) && body.includes(unset)) {
-        // Check for regular pages that should have a white background
-        if (document.body.querySelector("div")) {
-            document.querySelector("html").style.background = "white"
+    // Load Vieb settings that are relevant for the webview
+    const webviewSettingsFile = joinPath(appData(), "webviewsettings")
+    const settings = readJSON(webviewSettingsFile)
+
+    // Change the colors to $FG text on $BG background for plain text pages
+    // Change the background to white for regular pages without a background
+    window.addEventListener("load", () => {
+        if (!document.querySelector("html")) {
             return
         }
-        document.querySelector("html").style.color = settings?.fg || "#eee"
-        document.querySelector("html").style.background = settings?.bg || "#333"
-    }
-})
+        if (document.body?.classList.contains("specialpage")) {
+            return
+        }
+        if (document.head?.innerText === "") {
+            document.querySelector("html").style.color = settings?.fg || "#eee"
+            document.querySelector("html").style.background
+                = settings?.bg || "#333"
+            return
+        }
+        const html = getComputedStyle(document.querySelector("html")).background
+        const body = getComputedStyle(document.body).background
+        const unset = "rgba(0, 0, 0, 0)"
+        if (html.includes(unset) && body.includes(unset)) {
+            // Check for regular pages that should have a white background
+            if (document.body.querySelector("div")) {
+                document.querySelector("html").style.background = "white"
+                return
+            }
+            document.querySelector("html").style.color = settings?.fg || "#eee"
+            document.querySelector("html").style.background
+                = settings?.bg || "#333"
+        }
+    })
+    // Load the dark pages after the default page colors above are applied
+    require("./darkpages")
+} else {
+    // Subframes only relay their links when the parent frame asks for them,
+    // so that links in cross-origin frames can be followed too
+    require("./followframe")
+}
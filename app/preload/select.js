@@ -29,8 +29,12 @@ ipcRenderer.on("selection-all", (_, x, y) => documentAtPos(x, y)
     .execCommand("selectAll"))
 ipcRenderer.on("selection-cut", (_, x, y) => documentAtPos(x, y)
     .execCommand("cut"))
-ipcRenderer.on("selection-copy", (_, x, y) => documentAtPos(x, y)
-    .execCommand("copy"))
+ipcRenderer.on("selection-copy", (_, x, y) => {
+    // The native copy keeps rich text and also works inside input fields,
+    // the copied text is then read from the clipboard for the registers.
+    documentAtPos(x, y).execCommand("copy")
+    ipcRenderer.sendToHost("yank-copied")
+})
 ipcRenderer.on("selection-paste", (_, x, y) => documentAtPos(x, y)
     .execCommand("paste"))
 ipcRenderer.on("selection-remove", (_, x, y) => documentAtPos(x, y)
@@ -0,0 +1,134 @@
+/*
+* Vieb - Vim Inspired Electron Browser
+* Copyright (C) 2021 Jelmer van Arnhem
+*
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU General Public License as published by
+* the Free Software Foundation, either version 3 of the License, or
+* (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU General Public License for more details.
+*
+* You should have received a copy of the GNU General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+"use strict"
+
+const {ipcRenderer} = require("electron")
+const {
+    appData,
+    joinPath,
+    listDir,
+    readFile,
+    readJSON,
+    writeJSON,
+    pathToSpecialPageName,
+    userscriptMetadata,
+    userscriptMatchesUrl
+} = require("../util")
+
+const userscriptFolder = joinPath(appData(), "userscript")
+const disabledFile = joinPath(appData(), "disableduserscripts")
+const valuesFile = joinPath(appData(), "userscriptvalues")
+
+const readValues = file => readJSON(valuesFile)?.[file] || {}
+
+const writeValues = (file, values) => {
+    const allValues = readJSON(valuesFile) || {}
+    allValues[file] = values
+    writeJSON(valuesFile, allValues)
+}
+
+const xmlhttpRequest = (file, details) => {
+    const request = {
+        "data": details.data,
+        file,
+        "headers": details.headers || {},
+        "method": details.method || "GET",
+        "url": new URL(details.url, window.location.href).href
+    }
+    ipcRenderer.invoke("userscript-request", request).then(response => {
+        if (response.error) {
+            details.onerror?.(response)
+        } else {
+            details.onload?.(response)
+        }
+    })
+}
+
+const userscriptApi = file => ({
+    "GM_addStyle": css => {
+        const style = document.createElement("style")
+        style.textContent = css
+        ;(document.head || document.documentElement).appendChild(style)
+        return style
+    },
+    "GM_deleteValue": key => {
+        const values = readValues(file)
+        delete values[key]
+        writeValues(file, values)
+    },
+    "GM_getValue": (key, defaultValue) => {
+        const values = readValues(file)
+        if (key in values) {
+            return values[key]
+        }
+        return defaultValue
+    },
+    "GM_listValues": () => Object.keys(readValues(file)),
+    "GM_setValue": (key, value) => {
+        const values = readValues(file)
+        values[key] = value
+        writeValues(file, values)
+    },
+    "GM_xmlhttpRequest": details => xmlhttpRequest(file, details),
+    "unsafeWindow": window
+})
+
+const runUserscript = (file, code) => {
+    // Compiling with vm is not blocked by the CSP of the page,
+    // and the api is only passed to the script, never stored on the window
+    const {runInThisContext} = require("vm")
+    const api = userscriptApi(file)
+    try {
+        const script = runInThisContext(
+            `(function({${Object.keys(api).join(",")}}) {
+${code}
+})`, {"filename": file})
+        script.call(window, api)
+    } catch (_) {
+        // Errors in the userscript itself
+    }
+}
+
+const loadUserscripts = () => {
+    if (pathToSpecialPageName(window.location.href).name) {
+        return
+    }
+    const disabled = readJSON(disabledFile) || []
+    const files = (listDir(userscriptFolder) || []).filter(
+        f => f.endsWith(".js") && !disabled.includes(f))
+    files.forEach(file => {
+        const code = readFile(joinPath(userscriptFolder, file))
+        if (!code) {
+            return
+        }
+        const metadata = userscriptMetadata(code)
+        if (!userscriptMatchesUrl(metadata, window.location.href)) {
+            return
+        }
+        if (metadata.runAt === "document-start") {
+            runUserscript(file, code)
+        } else if (metadata.runAt === "document-idle") {
+            window.addEventListener("load", () => runUserscript(file, code))
+        } else {
+            window.addEventListener("DOMContentLoaded",
+                () => runUserscript(file, code))
+        }
+    })
+}
+
+loadUserscripts()
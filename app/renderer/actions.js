@@ -141,15 +141,33 @@ const startFollowNewTab = () => {
     startFollow(true)
 }
 
+const startFollowMultipleTabs = () => {
+    const {startFollow} = require("./follow")
+    startFollow(true, null, link => {
+        const {addTab} = require("./tabs")
+        addTab({"switchTo": false, "url": link.url})
+    })
+}
+
+const startFollowMultipleDownloads = () => {
+    const {startFollow} = require("./follow")
+    startFollow(true, null, link => {
+        const {commonAction} = require("./contextmenu")
+        commonAction("link", "download", {"link": link.url})
+    })
+}
+
 const scrollBottom = () => currentPage()?.send("action", "scrollBottom")
 
 const backInHistory = (customPage = null) => {
     const page = customPage || currentPage()
     if (page && !page.isCrashed()) {
-        if (page?.canGoBack() && !page.src.startsWith("devtools://")) {
+        if (page.src.startsWith("devtools://")) {
+            return
+        }
+        const {moveInHistory, resetTabInfo} = require("./tabs")
+        if (moveInHistory(page, -1)) {
             tabOrPageMatching(page).querySelector("span").textContent = ""
-            page.goBack()
-            const {resetTabInfo} = require("./tabs")
             resetTabInfo(page)
         }
     }
@@ -158,10 +176,12 @@ const backInHistory = (customPage = null) => {
 const forwardInHistory = (customPage = null) => {
     const page = customPage || currentPage()
     if (page && !page.isCrashed()) {
-        if (page?.canGoForward() && !page.src.startsWith("devtools://")) {
+        if (page.src.startsWith("devtools://")) {
+            return
+        }
+        const {moveInHistory, resetTabInfo} = require("./tabs")
+        if (moveInHistory(page, 1)) {
             tabOrPageMatching(page).querySelector("span").textContent = ""
-            page.goForward()
-            const {resetTabInfo} = require("./tabs")
             resetTabInfo(page)
         }
     }
@@ -460,15 +480,16 @@ const incrementalSearch = () => {
 }
 
 const pageToClipboard = () => {
-    const {clipboard} = require("electron")
-    clipboard.writeText(urlToString(currentPage()?.src))
+    const {yank} = require("./registers")
+    yank(urlToString(currentPage()?.src))
 }
 
 const openFromClipboard = () => {
-    const {clipboard} = require("electron")
-    if (clipboard.readText().trim()) {
+    const {clipboardOrSelectedRegister} = require("./registers")
+    const text = clipboardOrSelectedRegister()
+    if (text.trim()) {
         const {navigateTo} = require("./tabs")
-        navigateTo(stringToUrl(clipboard.readText()))
+        navigateTo(stringToUrl(text))
     }
 }
 
@@ -516,6 +537,59 @@ const menuClose = () => {
     clear()
 }
 
+const makeMark = () => {
+    const {requestKeyArgument} = require("./input")
+    const {"makeMark": make} = require("./marks")
+    requestKeyArgument(make)
+}
+
+const restoreMark = () => {
+    const {requestKeyArgument} = require("./input")
+    const {"restoreMark": restore} = require("./marks")
+    requestKeyArgument(restore)
+}
+
+const startRecording = () => {
+    const {requestKeyArgument, "startRecording": start} = require("./input")
+    requestKeyArgument(start)
+}
+
+const stopRecording = () => {
+    const {"stopRecording": stop} = require("./input")
+    stop()
+}
+
+const startOrStopRecording = () => {
+    const {isRecording} = require("./input")
+    if (isRecording()) {
+        stopRecording()
+    } else {
+        startRecording()
+    }
+}
+
+const runRecording = () => {
+    const {requestKeyArgument, "runRecording": run} = require("./input")
+    requestKeyArgument(run)
+}
+
+const repeatLastAction = async() => {
+    const {"repeatLastAction": repeat} = require("./input")
+    await repeat()
+}
+
+const selectRegister = () => {
+    const {requestKeyArgument} = require("./input")
+    const {"selectRegister": select} = require("./registers")
+    requestKeyArgument(select)
+}
+
+const pasteFromRegister = () => {
+    const {requestKeyArgument} = require("./input")
+    const {pasteRegister} = require("./registers")
+    requestKeyArgument(pasteRegister)
+}
+
 const useEnteredData = () => {
     const {setMode} = require("./modes")
     if (currentMode() === "command") {
@@ -527,6 +601,8 @@ const useEnteredData = () => {
         }
         const {execute} = require("./command")
         execute(command)
+        const {storeRepeatableCommand} = require("./input")
+        storeRepeatableCommand(command)
     }
     if (currentMode() === "search") {
         incrementalSearch()
@@ -537,6 +613,12 @@ const useEnteredData = () => {
         let location = urlElement.value.trim()
         setMode("normal")
         if (location) {
+            const {bookmarkForKeyword, openBookmark} = require("./bookmarks")
+            const bookmark = bookmarkForKeyword(location)
+            if (bookmark) {
+                openBookmark(bookmark)
+                return
+            }
             location = searchword(location).url
             if (getSetting("explorehist")) {
                 const {push} = require("./explorehistory")
@@ -595,6 +677,7 @@ module.exports = {
     incrementalSearch,
     insertAtFirstInput,
     leftHalfSplitWindow,
+    makeMark,
     menuClose,
     menuDown,
     menuOpen,
@@ -610,6 +693,7 @@ module.exports = {
     openNewTab,
     openNewTabWithCurrentUrl,
     pageToClipboard,
+    pasteFromRegister,
     prevSuggestion,
     previousSearchMatch,
     previousTab,
@@ -617,9 +701,12 @@ module.exports = {
     reloadWithoutCache,
     reopenTab,
     reorderFollowLinks,
+    repeatLastAction,
+    restoreMark,
     rightHalfSplitWindow,
     rotateSplitWindowBackward,
     rotateSplitWindowForward,
+    runRecording,
     scrollBottom,
     scrollDown,
     scrollLeft,
@@ -632,11 +719,17 @@ module.exports = {
     scrollRight,
     scrollTop,
     scrollUp,
+    selectRegister,
     setFocusCorrectly,
     startFollowCurrentTab,
+    startFollowMultipleDownloads,
+    startFollowMultipleTabs,
     startFollowNewTab,
+    startOrStopRecording,
+    startRecording,
     stopFollowMode,
     stopLoadingPage,
+    stopRecording,
     toBottomSplitWindow,
     toCommandMode,
     toExploreMode,
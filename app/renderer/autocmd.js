@@ -0,0 +1,138 @@
+/*
+* Vieb - Vim Inspired Electron Browser
+* Copyright (C) 2021 Jelmer van Arnhem
+*
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU General Public License as published by
+* the Free Software Foundation, either version 3 of the License, or
+* (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU General Public License for more details.
+*
+* You should have received a copy of the GNU General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+"use strict"
+
+const {ipcRenderer} = require("electron")
+const {notify} = require("../util")
+const {currentPage} = require("./common")
+
+const events = [
+    "DomReady",
+    "DownloadComplete",
+    "ModeChanged",
+    "PageLoad",
+    "TabEnter",
+    "TabLeave",
+    "VimEnter"
+]
+let autocmds = []
+let running = false
+
+const init = () => {
+    ipcRenderer.on("download-complete", (_, url) => {
+        fireEvent("DownloadComplete", url)
+    })
+}
+
+const matchingEvent = name => events.find(
+    e => e.toLowerCase() === name?.toLowerCase())
+
+const parseEventAndUrl = (event, url) => {
+    const name = matchingEvent(event)
+    if (event && !name) {
+        notify(`Unknown autocmd event: ${event}\nSupported events are: ${
+            events.join(", ")}`, "warn")
+        return null
+    }
+    if (url) {
+        try {
+            RegExp(url)
+        } catch (e) {
+            notify(`Invalid url regex for autocmd: ${url}`, "warn")
+            return null
+        }
+    }
+    return {"event": name, url}
+}
+
+const matchesFilter = (autocmd, event, url) => (!event
+    || autocmd.event === event) && (!url || autocmd.url === url)
+
+const listAutocmds = (event, url) => {
+    const list = autocmds.filter(a => matchesFilter(a, event, url))
+        .map(a => `${a.event} ${a.url} ${a.command}`).join("\n")
+    if (list) {
+        notify(`--- Autocommands ---\n${list}`)
+    } else if (event) {
+        notify("No autocommands found for the provided arguments")
+    } else {
+        notify("There are no autocommands")
+    }
+}
+
+const autocmdCommand = (overwrite, args) => {
+    const parsed = parseEventAndUrl(args[0], args[1])
+    if (!parsed) {
+        return
+    }
+    const {event, url} = parsed
+    const command = args.slice(2).join(" ").trim()
+    if (overwrite) {
+        autocmds = autocmds.filter(a => !matchesFilter(a, event, url))
+    } else if (!command) {
+        listAutocmds(event, url)
+        return
+    }
+    if (command) {
+        // The file is stored to replace the autocmds when it's sourced again
+        const {sourcingFile} = require("./settings")
+        autocmds.push({command, event, "file": sourcingFile(), url})
+    }
+}
+
+const clearAutocmdsOfFile = file => {
+    autocmds = autocmds.filter(a => a.file !== file)
+}
+
+const fireEvent = (event, url = currentPage()?.src || "") => {
+    // Commands run by an autocmd never trigger other autocmds, like in Vim
+    if (running) {
+        return
+    }
+    const matches = autocmds.filter(
+        a => a.event === event && RegExp(a.url).test(url))
+    if (!matches.length) {
+        return
+    }
+    running = true
+    const {pause, resume} = require("./commandhistory")
+    const {execute} = require("./command")
+    pause()
+    try {
+        matches.forEach(a => execute(a.command))
+    } finally {
+        resume()
+        running = false
+    }
+}
+
+const autocmdsAsCommandList = () => {
+    // Autocmds of sourced files are written as a source command instead
+    const {isIncludedFile} = require("./settings")
+    return autocmds.filter(a => !isIncludedFile(a.file)).map(
+        a => `autocmd ${a.event} ${a.url} ${a.command}`).join("\n")
+}
+
+module.exports = {
+    autocmdCommand,
+    autocmdsAsCommandList,
+    clearAutocmdsOfFile,
+    events,
+    fireEvent,
+    init
+}
@@ -0,0 +1,389 @@
+/*
+* Vieb - Vim Inspired Electron Browser
+* Copyright (C) 2021 Jelmer van Arnhem
+*
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU General Public License as published by
+* the Free Software Foundation, either version 3 of the License, or
+* (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU General Public License for more details.
+*
+* You should have received a copy of the GNU General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+"use strict"
+
+const {
+    joinPath,
+    appData,
+    readJSON,
+    writeJSON,
+    readFile,
+    writeFile,
+    deleteFile,
+    expandPath,
+    isAbsolutePath,
+    isFile,
+    pathExists,
+    downloadPath,
+    stringToUrl,
+    urlToString,
+    specialChars,
+    notify
+} = require("../util")
+const {currentPage, currentTab} = require("./common")
+
+const bookmarksFile = joinPath(appData(), "bookmarks")
+let bookmarks = []
+
+const init = () => {
+    const parsed = readJSON(bookmarksFile)
+    if (Array.isArray(parsed)) {
+        bookmarks = parsed.filter(b => b?.url)
+    }
+}
+
+const writeBookmarksToFile = () => {
+    if (bookmarks.length === 0) {
+        deleteFile(bookmarksFile)
+        return
+    }
+    writeJSON(bookmarksFile, bookmarks, "Failed to write the bookmarks to disk")
+}
+
+const bookmarkFlags = ["container", "folder", "keyword", "tags", "title"]
+
+const parseBookmarkArgs = args => {
+    const options = {}
+    const locations = []
+    for (const arg of args) {
+        const flag = bookmarkFlags.find(f => arg.startsWith(`--${f}=`))
+        if (flag) {
+            options[flag] = arg.replace(`--${flag}=`, "").trim()
+        } else if (arg.startsWith("--")) {
+            notify(`Unsupported flag for the bmark command: ${arg}`, "warn")
+            return null
+        } else {
+            locations.push(arg)
+        }
+    }
+    if (locations.length > 1) {
+        notify("The bmark command accepts at most one url", "warn")
+        return null
+    }
+    if (locations.length) {
+        options.url = stringToUrl(locations[0])
+    }
+    if (options.tags !== undefined) {
+        options.tags = options.tags.split(",").map(t => t.trim())
+            .filter(t => t)
+    }
+    if (options.folder !== undefined) {
+        options.folder = options.folder.split("/").map(f => f.trim())
+            .filter(f => f).join("/")
+    }
+    if (options.container) {
+        const simpleName = options.container.replace(/_/g, "")
+        if (simpleName.match(specialChars)) {
+            notify("No special characters besides underscores are allowed "
+                + `in the name of a container: ${options.container}`, "warn")
+            return null
+        }
+    }
+    if (options.keyword) {
+        if (!options.keyword.match(/^[a-zA-Z0-9]+$/)) {
+            notify("Bookmark keywords can only contain letters and numbers, "
+                + `not: ${options.keyword}`, "warn")
+            return null
+        }
+        const existing = bookmarkForKeyword(options.keyword)
+        if (existing && existing.url !== (options.url || currentPage()?.src)) {
+            notify(`The keyword ${options.keyword} is already used for: ${
+                urlToString(existing.url)}`, "warn")
+            return null
+        }
+    }
+    return options
+}
+
+const addBookmark = args => {
+    const options = parseBookmarkArgs(args)
+    if (!options) {
+        return
+    }
+    if (!options.url) {
+        options.url = currentPage()?.src
+        if (!options.url) {
+            return
+        }
+        if (options.title === undefined) {
+            options.title = currentTab().querySelector("span").textContent
+        }
+    }
+    const existing = bookmarks.find(b => b.url === options.url)
+    if (existing) {
+        Object.assign(existing, options)
+        notify(`Bookmark updated: ${urlToString(existing.url)}`)
+    } else {
+        bookmarks.push({
+            "added": new Date().toISOString(),
+            "container": "",
+            "folder": "",
+            "keyword": "",
+            "tags": [],
+            "title": "",
+            ...options
+        })
+        notify(`Bookmark added: ${urlToString(options.url)}`)
+    }
+    writeBookmarksToFile()
+}
+
+const deleteBookmark = args => {
+    if (args.length > 1) {
+        notify("The delbmark command accepts at most one url or keyword",
+            "warn")
+        return
+    }
+    let bookmark = null
+    if (args.length) {
+        bookmark = bookmarkForKeyword(args[0]) || bookmarks.find(
+            b => b.url === stringToUrl(args[0]))
+    } else {
+        bookmark = bookmarks.find(b => b.url === currentPage()?.src)
+    }
+    if (!bookmark) {
+        notify("No matching bookmark found", "warn")
+        return
+    }
+    bookmarks = bookmarks.filter(b => b !== bookmark)
+    writeBookmarksToFile()
+}
+
+const bookmarkForKeyword = keyword => bookmarks.find(
+    b => b.keyword && b.keyword === keyword.trim())
+
+const openBookmark = bookmark => {
+    const container = currentPage()?.getAttribute("container")
+    if (bookmark.container && bookmark.container !== container) {
+        const {addTab} = require("./tabs")
+        addTab({"container": bookmark.container, "url": bookmark.url})
+        return
+    }
+    const {navigateTo} = require("./tabs")
+    navigateTo(bookmark.url)
+}
+
+const suggestBookmarks = (searchStr, order, count) => {
+    const simpleSearch = searchStr.toLowerCase().split(specialChars)
+        .filter(w => w)
+    const entries = bookmarks.filter(b => {
+        const text = [
+            urlToString(b.url), b.title, b.folder, b.keyword, ...b.tags
+        ].join(" ").toLowerCase()
+        return simpleSearch.every(w => text.includes(w))
+    })
+    if (order === "alpha") {
+        entries.sort((a, b) => {
+            const first = (a.title || a.url).toLowerCase()
+            const second = (b.title || b.url).toLowerCase()
+            if (first > second) {
+                return 1
+            }
+            if (first < second) {
+                return -1
+            }
+            return 0
+        })
+    }
+    if (order === "date") {
+        entries.sort((a, b) => new Date(b.added) - new Date(a.added))
+    }
+    const {addExplore} = require("./suggest")
+    const {forSite} = require("./favicons")
+    entries.slice(0, count).forEach(b => addExplore({
+        "icon": forSite(b.url), "title": b.title || b.url, "url": b.url
+    }))
+}
+
+const handleRequest = (webview, action = "", url = "") => {
+    if (action === "open") {
+        const bookmark = bookmarks.find(b => b.url === url)
+        if (bookmark) {
+            openBookmark(bookmark)
+        }
+        return
+    }
+    if (action === "remove") {
+        bookmarks = bookmarks.filter(b => b.url !== url)
+        writeBookmarksToFile()
+    }
+    const {forSite} = require("./favicons")
+    webview.send("bookmarks-list", JSON.stringify(bookmarks.map(b => ({
+        ...b, "icon": forSite(b.url)
+    }))))
+}
+
+const bookmarkFileLocation = file => {
+    let location = expandPath(file)
+    if (!isAbsolutePath(location)) {
+        location = joinPath(downloadPath(), location)
+    }
+    return location
+}
+
+const folderOfLink = link => {
+    // Each nested list of a folder directly follows the heading with its name
+    const folders = []
+    let element = link.parentElement
+    while (element) {
+        if (element.tagName === "DL") {
+            let heading = element.previousElementSibling
+            while (heading && !["H3", "DT"].includes(heading.tagName)) {
+                heading = heading.previousElementSibling
+            }
+            if (heading?.tagName === "H3") {
+                folders.unshift(heading.textContent.replace(/\//g, "-").trim())
+            }
+        }
+        element = element.parentElement
+    }
+    return folders.filter(f => f).join("/")
+}
+
+const importBookmarks = (...args) => {
+    if (args.length !== 1) {
+        notify("The bmarkimport command requires exactly one file", "warn")
+        return
+    }
+    const location = bookmarkFileLocation(args[0])
+    if (!isFile(location)) {
+        notify(`Bookmarks file '${location}' does not exist`, "warn")
+        return
+    }
+    const html = readFile(location)
+    if (html === null) {
+        notify(`Bookmarks file '${location}' could not be read`, "err")
+        return
+    }
+    const doc = new DOMParser().parseFromString(html, "text/html")
+    let imported = 0
+    let skipped = 0
+    for (const link of doc.querySelectorAll("dt > a[href]")) {
+        const url = link.getAttribute("href").trim()
+        if (!url.match(/^(https?|file|ftp):/)) {
+            skipped += 1
+            continue
+        }
+        if (bookmarks.find(b => b.url === url)) {
+            skipped += 1
+            continue
+        }
+        let keyword = link.getAttribute("shortcuturl") || ""
+        if (!keyword.match(/^[a-zA-Z0-9]+$/) || bookmarkForKeyword(keyword)) {
+            keyword = ""
+        }
+        let added = new Date()
+        const addDate = Number(link.getAttribute("add_date"))
+        if (addDate > 0) {
+            added = new Date(addDate * 1000)
+        }
+        bookmarks.push({
+            "added": added.toISOString(),
+            "container": "",
+            "folder": folderOfLink(link),
+            keyword,
+            "tags": (link.getAttribute("tags") || "").split(",")
+                .map(t => t.trim()).filter(t => t),
+            "title": link.textContent.trim(),
+            url
+        })
+        imported += 1
+    }
+    writeBookmarksToFile()
+    let message = `Imported ${imported} bookmarks from '${location}'`
+    if (skipped) {
+        message += `, skipped ${skipped} existing or unsupported links`
+    }
+    notify(message)
+}
+
+const escapeHTML = text => text.replace(/&/g, "&amp;").replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;").replace(/"/g, "&quot;")
+
+const bookmarksAsNetscapeList = (folder, indent) => {
+    const prefix = "    ".repeat(indent)
+    const lines = [`${prefix}<DL><p>`]
+    let subfolders = bookmarks.map(b => b.folder).filter(f => f)
+    if (folder) {
+        subfolders = subfolders.filter(f => f.startsWith(`${folder}/`))
+            .map(f => f.slice(folder.length + 1))
+    }
+    subfolders = [...new Set(subfolders.map(f => f.split("/")[0]))]
+    subfolders.sort().forEach(name => {
+        lines.push(`${prefix}    <DT><H3>${escapeHTML(name)}</H3>`)
+        lines.push(...bookmarksAsNetscapeList(
+            [folder, name].filter(f => f).join("/"), indent + 1))
+    })
+    bookmarks.filter(b => b.folder === folder).forEach(b => {
+        const addDate = Math.round(new Date(b.added).getTime() / 1000)
+        let attributes = `HREF="${escapeHTML(b.url)}" ADD_DATE="${addDate}"`
+        if (b.tags.length) {
+            attributes += ` TAGS="${escapeHTML(b.tags.join(","))}"`
+        }
+        if (b.keyword) {
+            attributes += ` SHORTCUTURL="${escapeHTML(b.keyword)}"`
+        }
+        lines.push(`${prefix}    <DT><A ${attributes}>${
+            escapeHTML(b.title || b.url)}</A>`)
+    })
+    lines.push(`${prefix}</DL><p>`)
+    return lines
+}
+
+const exportBookmarks = (overwrite, args) => {
+    if (args.length !== 1) {
+        notify("The bmarkexport command requires exactly one file", "warn")
+        return
+    }
+    if (bookmarks.length === 0) {
+        notify("There are no bookmarks to export", "warn")
+        return
+    }
+    const location = bookmarkFileLocation(args[0])
+    if (!overwrite && pathExists(location)) {
+        notify(`The file '${location}' already exists, `
+            + "use bmarkexport! to overwrite it", "warn")
+        return
+    }
+    const html = [
+        "<!DOCTYPE NETSCAPE-Bookmark-file-1>",
+        "<!-- This is an automatically generated file.",
+        "     It will be read and overwritten.",
+        "     DO NOT EDIT! -->",
+        "<META HTTP-EQUIV=\"Content-Type\" "
+            + "CONTENT=\"text/html; charset=UTF-8\">",
+        "<TITLE>Bookmarks</TITLE>",
+        "<H1>Bookmarks</H1>",
+        ...bookmarksAsNetscapeList("", 0)
+    ].join("\n")
+    writeFile(location, `${html}\n`,
+        `Could not write bookmarks to '${location}'`,
+        `Bookmarks exported to '${location}'`)
+}
+
+module.exports = {
+    addBookmark,
+    bookmarkForKeyword,
+    deleteBookmark,
+    exportBookmarks,
+    handleRequest,
+    importBookmarks,
+    init,
+    openBookmark,
+    suggestBookmarks
+}
@@ -38,7 +38,9 @@ const {
     appData,
     specialPagePath,
     pathToSpecialPageName,
-    specialChars
+    specialChars,
+    searchword,
+    notifyFromLocation
 } = require("../util")
 const {
     listTabs, currentTab, currentPage, tabOrPageMatching, getSetting
@@ -333,51 +335,168 @@ const reload = () => {
 
 const hardcopy = () => currentPage()?.send("action", "print")
 
-const write = (locationArgument, trailingArgs = false) => {
-    if (trailingArgs) {
-        notify("The write command takes only a single optional argument:\n"
-            + "the location where to write the page", "warn")
+const resolveFileLocation = (locationArgument, name) => {
+    // Relative to the downloadpath, with the default name for folders
+    if (!locationArgument) {
+        return joinPath(downloadPath(), name)
+    }
+    let file = expandPath(locationArgument)
+    if (!isAbsolutePath(file)) {
+        file = joinPath(downloadPath(), file)
+    }
+    const folder = dirname(file)
+    if (!isDir(folder)) {
+        notify(`The folder '${folder}' does not exist`, "warn")
+        return null
+    }
+    if (pathExists(file)) {
+        if (isDir(file)) {
+            return joinPath(file, name)
+        }
+        return file
+    }
+    if (file.endsWith("/")) {
+        notify(`The folder '${file}' does not exist`, "warn")
+        return null
+    }
+    return file
+}
+
+const writeFormats = {
+    "--complete": {"extension": ".html", "type": "HTMLComplete"},
+    "--html-only": {"extension": ".html", "type": "HTMLOnly"},
+    "--markdown": {"extension": ".md", "type": "markdown"},
+    "--mhtml": {"extension": ".mhtml", "type": "MHTML"},
+    "--text": {"extension": ".txt", "type": "text"}
+}
+
+const write = (...args) => {
+    let format = writeFormats["--complete"]
+    if (writeFormats[args[0]]) {
+        format = writeFormats[args.shift()]
+    }
+    if (args.length > 1 || args[0]?.startsWith("--")) {
+        notify("The write command takes only an optional format flag, "
+            + `which is one of: ${Object.keys(writeFormats).join(", ")}, `
+            + "and the location where to write the page", "warn")
         return
     }
-    if (!currentPage()) {
+    const page = currentPage()
+    if (!page) {
         return
     }
-    let [name] = basePath(currentPage().src).split("?")
-    if (!name.includes(".")) {
-        name += ".html"
+    const {pageFilename} = require("../util")
+    let name = pageFilename(
+        getSetting("writefilename"), page.src, page.getTitle()) || "page"
+    if (!name.toLowerCase().endsWith(format.extension)) {
+        name += format.extension
     }
-    name = `${new URL(currentPage().src).hostname} ${name}`.trim()
-    let loc = joinPath(downloadPath(), name)
-    if (locationArgument) {
-        let file = expandPath(file)
-        if (!isAbsolutePath(file)) {
-            file = joinPath(downloadPath(), file)
+    const loc = resolveFileLocation(args[0], name)
+    if (!loc) {
+        return
+    }
+    if (["markdown", "text"].includes(format.type)) {
+        page.send("action", "writePageText", loc, format.type)
+        return
+    }
+    const webContentsId = page.getWebContentsId()
+    const {ipcRenderer} = require("electron")
+    ipcRenderer.invoke("save-page", webContentsId, loc, format.type)
+        .then(() => {
+            notify(`Page saved at '${loc}'`)
+        }).catch(err => {
+            notify(`Could not save the page:\n${err}`, "err")
+        })
+}
+
+const pdfPageSizes = ["A3", "A4", "A5", "Legal", "Letter", "Tabloid"]
+const pdfMargins = ["default", "none", "minimum"]
+const pdfFlags = [
+    "--background", "--headerfooter", "--landscape", "--margins=", "--pagesize="
+]
+
+const parsePdfArgs = args => {
+    const options = {"marginsType": 0}
+    const words = [...args]
+    while (words[0]?.startsWith("--")) {
+        const arg = words.shift()
+        const flag = pdfFlags.find(
+            f => f === arg || f.endsWith("=") && arg.startsWith(f))
+        if (!flag) {
+            notify(`Unsupported flag for the pdf command: ${arg}`, "warn")
+            return null
         }
-        const folder = dirname(file)
-        if (isDir(folder)) {
-            if (pathExists(file)) {
-                if (isDir(file)) {
-                    loc = joinPath(file, name)
-                } else {
-                    loc = file
-                }
-            } else if (file.endsWith("/")) {
-                notify(`The folder '${file}' does not exist`, "warn")
-                return
-            } else {
-                loc = file
+        const value = arg.replace(flag, "")
+        if (flag === "--pagesize=") {
+            options.pageSize = pdfPageSizes.find(
+                s => s.toLowerCase() === value.toLowerCase())
+            if (!options.pageSize) {
+                notify(`Unsupported page size for the pdf command: ${value}`
+                    + `\nSupported sizes are: ${pdfPageSizes.join(", ")}`,
+                "warn")
+                return null
             }
-        } else {
-            notify(`The folder '${folder}' does not exist`, "warn")
-            return
+        } else if (flag === "--margins=") {
+            options.marginsType = pdfMargins.indexOf(value)
+            if (options.marginsType === -1) {
+                notify(`Unsupported margins for the pdf command: ${value}\n`
+                    + `Supported margins are: ${pdfMargins.join(", ")}`,
+                "warn")
+                return null
+            }
+        } else if (flag === "--background") {
+            options.printBackground = true
+        } else if (flag === "--headerfooter") {
+            options.headerFooter = {
+                "title": currentPage().getTitle(), "url": currentPage().src
+            }
+        } else if (flag === "--landscape") {
+            options.landscape = true
         }
     }
-    const webContentsId = currentPage().getWebContentsId()
-    const {ipcRenderer} = require("electron")
-    ipcRenderer.invoke("save-page", webContentsId, loc).then(() => {
-        notify(`Page saved at '${loc}'`)
+    if (words.length > 1) {
+        notify("The pdf command takes only a single optional location "
+            + "after the flags", "warn")
+        return null
+    }
+    [options.location] = words
+    return options
+}
+
+const pdf = (...args) => {
+    const page = currentPage()
+    if (!page?.getAttribute("dom-ready")) {
+        return
+    }
+    const options = parsePdfArgs(args)
+    if (!options) {
+        return
+    }
+    let hostname = ""
+    try {
+        ({hostname} = new URL(page.src))
+    } catch (_) {
+        // Pages without a valid url are only named after the path
+    }
+    let [name] = basePath(page.src).split("?")
+    if (name === hostname) {
+        name = ""
+    }
+    name = `${hostname} ${name.replace(/\.[^.]*$/, "")}`.trim() || "page"
+    name += ".pdf"
+    let loc = resolveFileLocation(options.location, name)
+    if (!loc) {
+        return
+    }
+    if (!loc.toLowerCase().endsWith(".pdf")) {
+        loc += ".pdf"
+    }
+    delete options.location
+    page.printToPDF(options).then(data => {
+        writeFile(loc, data, `Could not write the pdf to '${loc}'`,
+            `Pdf saved at '${loc}'`)
     }).catch(err => {
-        notify(`Could not save the page:\n${err}`, "err")
+        notify(`Could not save the page as pdf:\n${err}`, "err")
     })
 }
 
@@ -556,6 +675,96 @@ const addSplit = (method, leftOrAbove, args) => {
     }
 }
 
+const openFlags = {
+    "open": [],
+    "tabopen": ["--bg", "--background", "--container="],
+    "window": ["--container=", "--vertical"]
+}
+
+const parseOpenArgs = (command, args) => {
+    const options = {}
+    const words = [...args]
+    while (words[0]?.startsWith("--")) {
+        const arg = words.shift()
+        const flag = openFlags[command].find(
+            f => f === arg || f.endsWith("=") && arg.startsWith(f))
+        if (!flag) {
+            notify(`Unsupported flag for the ${command} command: ${arg}`,
+                "warn")
+            return null
+        }
+        if (flag === "--container=") {
+            options.container = arg.replace(flag, "")
+            const simpleName = options.container.replace(/_/g, "")
+            if (!simpleName || simpleName.match(specialChars)) {
+                notify("No special characters besides underscores are "
+                    + `allowed in the name of a container: ${
+                        options.container}`, "warn")
+                return null
+            }
+        } else {
+            options[flag.replace("--", "")] = true
+        }
+    }
+    const location = words.join(" ").trim()
+    if (location) {
+        const {bookmarkForKeyword} = require("./bookmarks")
+        options.url = bookmarkForKeyword(location)?.url
+            || stringToUrl(searchword(location).url)
+    }
+    return options
+}
+
+const openLocation = (...args) => {
+    const options = parseOpenArgs("open", args)
+    if (!options) {
+        return
+    }
+    if (!options.url) {
+        notify("The open command requires a location to open", "warn")
+        return
+    }
+    const {navigateTo} = require("./tabs")
+    navigateTo(options.url)
+}
+
+const openInNewTab = (...args) => {
+    const options = parseOpenArgs("tabopen", args)
+    if (!options) {
+        return
+    }
+    const {addTab} = require("./tabs")
+    addTab({
+        "container": options.container,
+        "switchTo": !options.bg && !options.background,
+        "url": options.url
+    })
+}
+
+const openInNewWindow = (...args) => {
+    const options = parseOpenArgs("window", args)
+    if (!options) {
+        return
+    }
+    let method = "ver"
+    let leftOrAbove = !getSetting("splitbelow")
+    if (options.vertical) {
+        method = "hor"
+        leftOrAbove = !getSetting("splitright")
+    }
+    const {addTab, switchToTab} = require("./tabs")
+    addTab({
+        "callback": id => {
+            const {add} = require("./pagelayout")
+            add(id, method, leftOrAbove)
+            switchToTab(tabIndexById(id))
+        },
+        "container": options.container || getSetting("containersplitpage"),
+        "switchTo": false,
+        "url": options.url
+    })
+}
+
 const close = (...args) => {
     const {closeTab} = require("./tabs")
     if (args.length === 0) {
@@ -664,7 +873,14 @@ const extensionsCommand = (...args) => {
     }
 }
 
-const noEscapeCommands = ["command", "delcommand"]
+const only = () => {
+    const {"only": hideOtherSplits} = require("./pagelayout")
+    hideOtherSplits()
+}
+
+const noEscapeCommands = [
+    "autocmd", "autocmd!", "command", "delcommand", "macro"
+]
 const noArgumentComands = [
     "q",
     "quit",
@@ -675,6 +891,8 @@ const noArgumentComands = [
     "v",
     "version",
     "history",
+    "bmarks",
+    "sessions",
     "d",
     "downloads",
     "cookies",
@@ -684,12 +902,38 @@ const noArgumentComands = [
     "makedefault",
     "lclose",
     "rclose",
+    "o",
     "only"
 ]
 const commands = {
     "Sexplore": (...args) => addSplit("ver", !getSetting("splitbelow"), args),
     "Vexplore": (...args) => addSplit("hor", !getSetting("splitright"), args),
+    "autocmd": (...args) => {
+        const {autocmdCommand} = require("./autocmd")
+        autocmdCommand(false, args)
+    },
+    "autocmd!": (...args) => {
+        const {autocmdCommand} = require("./autocmd")
+        autocmdCommand(true, args)
+    },
     "b": buffer,
+    "bmark": (...args) => {
+        const {addBookmark} = require("./bookmarks")
+        addBookmark(args)
+    },
+    "bmarkexport": (...args) => {
+        const {exportBookmarks} = require("./bookmarks")
+        exportBookmarks(false, args)
+    },
+    "bmarkexport!": (...args) => {
+        const {exportBookmarks} = require("./bookmarks")
+        exportBookmarks(true, args)
+    },
+    "bmarkimport": (...args) => {
+        const {importBookmarks} = require("./bookmarks")
+        importBookmarks(...args)
+    },
+    "bmarks": () => openSpecialPage("bookmarks"),
     buffer,
     "call": callAction,
     close,
@@ -701,10 +945,26 @@ const commands = {
     "command!": (...args) => addCommand(true, args),
     "cookies": () => openSpecialPage("cookies"),
     "d": () => openSpecialPage("downloads"),
+    "delbmark": (...args) => {
+        const {deleteBookmark} = require("./bookmarks")
+        deleteBookmark(args)
+    },
     "delcommand": (...args) => deleteCommand(...args),
+    "delmarks": (...args) => {
+        const {deleteMarks} = require("./marks")
+        deleteMarks(false, args)
+    },
+    "delmarks!": (...args) => {
+        const {deleteMarks} = require("./marks")
+        deleteMarks(true, args)
+    },
     "devtools": openDevTools,
     "downloads": () => openSpecialPage("downloads"),
     "extensions": extensionsCommand,
+    "follow": (...args) => {
+        const {followCommand} = require("./follow")
+        followCommand(args)
+    },
     "h": help,
     hardcopy,
     help,
@@ -721,14 +981,22 @@ const commands = {
             closeTab(index - 1)
         }
     },
+    "macro": (...args) => {
+        const {macroCommand} = require("./registers")
+        macroCommand(...args)
+    },
     makedefault,
+    "marks": (...args) => {
+        const {listMarks} = require("./marks")
+        listMarks(...args)
+    },
     mkviebrc,
     mute,
     "notifications": () => openSpecialPage("notifications"),
-    "only": () => {
-        const {only} = require("./pagelayout")
-        only()
-    },
+    "o": only,
+    only,
+    "open": openLocation,
+    pdf,
     pin,
     "print": hardcopy,
     "q": quit,
@@ -746,16 +1014,55 @@ const commands = {
             closeTab(count - 1)
         }
     },
+    "registers": (...args) => {
+        const {listRegisters} = require("./registers")
+        listRegisters(...args)
+    },
     reload,
     restart,
     "s": set,
+    "screenshot": (...args) => {
+        const {screenshotCommand} = require("./screenshots")
+        screenshotCommand(args)
+    },
+    "se": set,
+    "session": (...args) => {
+        const {sessionCommand} = require("./sessions")
+        sessionCommand(false, args)
+    },
+    "session!": (...args) => {
+        const {sessionCommand} = require("./sessions")
+        sessionCommand(true, args)
+    },
+    "sessions": () => {
+        const {listSessions} = require("./sessions")
+        listSessions()
+    },
     set,
+    "source": (...args) => {
+        if (args.length !== 1) {
+            notify("The source command requires exactly one file", "warn")
+            return
+        }
+        const {sourceFile} = require("./settings")
+        sourceFile(args[0])
+    },
     "split": (...args) => addSplit("ver", !getSetting("splitbelow"), args),
     suspend,
+    "tabopen": openInNewTab,
+    "userscripts": (...args) => {
+        const {userscriptsCommand} = require("./userscripts")
+        userscriptsCommand(args)
+    },
+    "userstyle": (...args) => {
+        const {toggleUserstyles} = require("./userstyles")
+        toggleUserstyles(...args)
+    },
     "v": () => openSpecialPage("version"),
     "version": () => openSpecialPage("version"),
     "vsplit": (...args) => addSplit("hor", !getSetting("splitright"), args),
     "w": write,
+    "window": openInNewWindow,
     write
 }
 let userCommands = {}
@@ -839,7 +1146,42 @@ const deleteCommand = (...args) => {
     }
 }
 
-const parseAndValidateArgs = commandStr => {
+const rangeRegex = /^(%|(\.|\$|\d+)([+-]\d+)?(,(\.|\$|\d+)([+-]\d+)?)?)/
+const rangeCommands = ["b", "buffer", "close", "hide", "mute", "pin", "suspend"]
+
+const rangePartToIndex = part => {
+    // Tab numbers in ranges start at 1 like in Vim, "." and "$" are not numbers
+    const [, base, offset] = part.match(/^(\.|\$|\d+)([+-]\d+)?$/)
+    let index = Number(base) - 1
+    if (base === ".") {
+        index = listTabs().indexOf(currentTab())
+    } else if (base === "$") {
+        index = listTabs().length - 1
+    }
+    return index + Number(offset || 0)
+}
+
+const rangeToTabs = range => {
+    const tabs = listTabs()
+    if (range === "%") {
+        return tabs
+    }
+    const [start, end = start] = range.split(",").map(rangePartToIndex)
+    if (start > end) {
+        notify("Backwards range given, start must not be after the end",
+            "warn")
+        return []
+    }
+    if (start < 0 || end >= tabs.length) {
+        notify(`Range is outside of the tab list: ${range}`, "warn")
+        return []
+    }
+    return tabs.slice(start, end + 1)
+}
+
+const parseAndValidateArgs = fullCommandStr => {
+    const range = fullCommandStr.match(rangeRegex)?.[0] || ""
+    const commandStr = fullCommandStr.slice(range.length).trim()
     const argsString = commandStr.split(" ").slice(1).join(" ")
     let [command] = commandStr.split(" ")
     const args = []
@@ -871,10 +1213,85 @@ const parseAndValidateArgs = commandStr => {
         confirm = true
         command = command.slice(0, -1)
     }
-    return {args, command, confirm, "valid": !escapedSingle && !escapedDouble}
+    return {
+        args,
+        command,
+        confirm,
+        range,
+        "valid": !escapedSingle && !escapedDouble
+    }
 }
 
-const execute = com => {
+const matchingCommands = command => Object.keys(commands)
+    .concat(Object.keys(userCommands))
+    .filter(c => c.startsWith(command) && !c.endsWith("!"))
+
+const fullCommandName = command => {
+    const matches = matchingCommands(command)
+    if (matches.length === 1) {
+        return matches[0]
+    }
+    if (commands[command] || userCommands[command]) {
+        return command
+    }
+    return null
+}
+
+const takesRestOfLine = commandStr => {
+    const name = commandStr.replace(/^[\s:]*/, "").replace(rangeRegex, "")
+        .split(/[\s|]/)[0].replace(/!$/, "")
+    if (name.startsWith("!") || noEscapeCommands.includes(name)) {
+        return true
+    }
+    const matches = matchingCommands(name)
+    return matches.length === 1 && noEscapeCommands.includes(matches[0])
+}
+
+const splitCommandChain = commandStr => {
+    const chain = []
+    let remaining = commandStr
+    while (remaining.trim()) {
+        // Commands that take keys or shell commands get the rest of the line
+        if (takesRestOfLine(remaining)) {
+            chain.push(remaining)
+            break
+        }
+        let current = ""
+        let escapedDouble = false
+        let escapedSingle = false
+        let index = 0
+        for (; index < remaining.length; index++) {
+            const char = remaining[index]
+            if (char === "\\" && remaining[index + 1] === "|") {
+                current += "|"
+                index += 1
+                continue
+            }
+            if (char === "'" && !escapedDouble) {
+                escapedSingle = !escapedSingle
+            }
+            if (char === "\"" && !escapedSingle) {
+                escapedDouble = !escapedDouble
+            }
+            if (char === "|" && !escapedSingle && !escapedDouble) {
+                break
+            }
+            current += char
+        }
+        chain.push(current)
+        remaining = remaining.slice(index + 1)
+    }
+    return chain.map(c => c.replace(/^[\s:]*/, "").trim()).filter(c => c)
+}
+
+const sourceLocation = source => {
+    if (source) {
+        return `\nIn config file '${source.file}' on line ${source.line}`
+    }
+    return ""
+}
+
+const execute = (com, source = null) => {
     // Remove all redundant spaces
     // Allow commands prefixed with :
     // And return if the command is empty
@@ -886,6 +1303,14 @@ const execute = com => {
         const {push} = require("./commandhistory")
         push(commandStr)
     }
+    for (const singleCommand of splitCommandChain(commandStr)) {
+        // Any warning of a command in a config file mentions the file and line
+        notifyFromLocation(sourceLocation(source),
+            () => executeSingle(singleCommand))
+    }
+}
+
+const executeSingle = commandStr => {
     if (commandStr.startsWith("!")) {
         if (commandStr !== "!") {
             const {exec} = require("child_process")
@@ -895,19 +1320,22 @@ const execute = com => {
     }
     const p = parseAndValidateArgs(commandStr)
     let {command} = p
-    const {args, valid, confirm} = p
+    const {args, valid, confirm, range} = p
     if (!valid) {
         notify(`Command could not be executed, unmatched escape quotes:\n${
             commandStr}`, "warn")
         return
     }
-    const matches = Object.keys(commands).concat(Object.keys(userCommands))
-        .filter(c => c.startsWith(command) && !c.endsWith("!"))
+    if (range && !command) {
+        notify(`A range must be followed by a command: ${range}`, "warn")
+        return
+    }
+    const matches = matchingCommands(command)
     if (matches.length === 1 || commands[command] || userCommands[command]) {
-        if (matches.length === 1) {
-            [command] = matches
-        }
-        if (noArgumentComands.includes(command) && args.length > 0) {
+        command = fullCommandName(command)
+        if (range) {
+            executeForRange(command, range, args, confirm)
+        } else if (noArgumentComands.includes(command) && args.length > 0) {
             notify(`Command takes no arguments: ${command}`, "warn")
         } else if (commands[command]) {
             if (confirm) {
@@ -932,6 +1360,23 @@ const execute = com => {
     }
 }
 
+const executeForRange = (command, range, args, confirm) => {
+    if (!rangeCommands.includes(command) || confirm) {
+        notify(`Command does not accept a range: ${command}`, "warn")
+        return
+    }
+    if (args.length > 0) {
+        notify("Commands with a range do not accept arguments", "warn")
+        return
+    }
+    // Indexes are looked up per tab, as commands can close or move tabs
+    rangeToTabs(range).forEach(tab => {
+        if (listTabs().includes(tab)) {
+            commands[command](String(listTabs().indexOf(tab)))
+        }
+    })
+}
+
 const commandList = (includeCustom = true) => {
     if (includeCustom) {
         return Object.keys(commands).filter(c => c.length > 2)
@@ -953,6 +1398,9 @@ module.exports = {
     commandList,
     customCommandsAsCommandList,
     execute,
+    fullCommandName,
+    openInNewWindow,
     openSpecialPage,
-    parseAndValidateArgs
+    parseAndValidateArgs,
+    resolveFileLocation
 }
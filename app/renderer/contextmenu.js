@@ -135,8 +135,10 @@ const viebMenu = options => {
         createMenuItem({"action": addTab, "title": "Open new"})
         createMenuItem({"action": reopenTab, "title": "Undo closed"})
         createMenuItem({
-            "action": () => clipboard.writeText(urlToString(
-                tabOrPageMatching(tab).src)),
+            "action": () => {
+                const {yank} = require("./registers")
+                yank(urlToString(tabOrPageMatching(tab).src))
+            },
             "title": "Copy url"
         })
         if (!pinned || getSetting("closablepinnedtabs")) {
@@ -237,7 +239,11 @@ const webviewMenu = options => {
             })
         }
         createMenuItem({
-            "action": () => clipboard.writeText(options.text), "title": "Copy"
+            "action": () => {
+                const {yank} = require("./registers")
+                yank(options.text)
+            },
+            "title": "Copy"
         })
     }
     if (options.canEdit && clipboard.readText().trim()) {
@@ -336,8 +342,8 @@ const linkMenu = options => {
     })
     createMenuItem({
         "action": () => {
-            const {clipboard} = require("electron")
-            clipboard.writeText(options.link)
+            const {yank} = require("./registers")
+            yank(options.link)
         },
         "title": "Copy"
     })
@@ -363,8 +369,8 @@ const commandMenu = options => {
     })
     createMenuItem({
         "action": () => {
-            const {clipboard} = require("electron")
-            clipboard.writeText(options.command)
+            const {yank} = require("./registers")
+            yank(options.command)
         },
         "title": "Copy"
     })
@@ -485,8 +491,8 @@ const commonAction = (type, action, options) => {
         const {addTab} = require("./tabs")
         addTab({"url": relevantData})
     } else if (action === "copy") {
-        const {clipboard} = require("electron")
-        clipboard.writeText(relevantData)
+        const {yank} = require("./registers")
+        yank(relevantData)
     } else if (action === "download") {
         currentPage().downloadURL(relevantData)
     } else if (action === "external") {
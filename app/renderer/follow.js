@@ -22,6 +22,8 @@ const {
 } = require("./common")
 
 let followNewtab = true
+let followCallback = null
+let followMultiple = null
 let alreadyFollowing = false
 let links = []
 const savedOrder = ["url", "onclick", "inputs-click", "inputs-insert"]
@@ -39,8 +41,12 @@ const informPreload = () => {
     }, 100)
 }
 
-const startFollow = (newtab = followNewtab) => {
+const startFollow = (newtab = followNewtab, callback = null, multi = null) => {
     followNewtab = newtab
+    // The callback is called with the selected link instead of clicking it
+    followCallback = callback
+    // The multiple callback is called for every link until follow mode stops
+    followMultiple = multi
     document.getElementById("follow").textContent = ""
     let modeBeforeFollow = currentMode()
     if (modeBeforeFollow === "follow") {
@@ -68,21 +74,39 @@ const cancelFollow = () => {
     })
 }
 
-const numberToKeys = (number, total) => {
-    if (total < 27 || number < 26 && number > Math.floor(total / 26)) {
-        return String.fromCharCode(65 + number)
+const visibleLinks = () => links.map((link, index) => ({index, link}))
+    .filter(({link}) => link)
+
+const rankedLinks = shown => {
+    const order = getSetting("followlabelorder")
+    const ranked = [...shown]
+    if (order === "size") {
+        ranked.sort((a, b) => b.link.width * b.link.height
+            - a.link.width * a.link.height)
     }
-    if (number + 1 === total && number % 26 === 0) {
-        return String.fromCharCode(65 + Math.floor(number / 26))
+    if (order === "distance") {
+        const factor = currentPage().getZoomFactor()
+        const centerX = currentPage().scrollWidth / factor / 2
+        const centerY = currentPage().scrollHeight / factor / 2
+        const distance = ({link}) => Math.hypot(
+            link.x + link.width / 2 - centerX,
+            link.y + link.height / 2 - centerY)
+        ranked.sort((a, b) => distance(a) - distance(b))
     }
-    if (number % 26 === Math.floor(total / 26)) {
-        if (number < 26 && total % 26 === 0) {
-            return String.fromCharCode(65 + number % 26)
-        }
+    return ranked
+}
+
+const labelsForLinks = shown => {
+    const {followLabels} = require("../util")
+    const chars = getSetting("followchars").toUpperCase()
+    if (getSetting("followlabelorder") === "position") {
+        // Based on the index so labels stay the same while the page updates
+        const labels = followLabels(links.length, chars)
+        return shown.map(({index}) => labels[index])
     }
-    const first = String.fromCharCode(65 + Math.floor(number / 26))
-    const second = String.fromCharCode(65 + number % 26)
-    return first + second
+    const ranked = rankedLinks(shown)
+    const labels = followLabels(shown.length, chars)
+    return shown.map(s => labels[ranked.indexOf(s)])
 }
 
 const linkInList = (list, link) => list.find(l => l && link && l.x === link.x
@@ -112,7 +136,8 @@ const clickAtLink = async link => {
     await new Promise(r => {
         setTimeout(r, 2)
     })
-    if (link.type === "inputs-insert") {
+    // Inputs in cross-origin frames can only be focused by clicking on them
+    if (link.type === "inputs-insert" && !link.frame) {
         currentPage().send("focus-input",
             {"x": link.x + link.width / 2, "y": link.y + link.height / 2})
     } else {
@@ -193,18 +218,18 @@ const parseAndDisplayLinks = receivedLinks => {
     while (!links[links.length - 1] && links.length) {
         links.pop()
     }
-    // The maximum amount of links is 26 * 26,
-    // therefor the slice index is 0 to 26^2 - 1.
-    links = links.slice(0, 675)
+    displayLinks()
+}
+
+const displayLinks = () => {
     const factor = currentPage().getZoomFactor()
     const followChildren = []
-    links.forEach((link, index) => {
-        if (!link) {
-            return
-        }
+    const shown = visibleLinks()
+    const labels = labelsForLinks(shown)
+    shown.forEach(({link, index}, position) => {
         // Show the link key in the top right
         const linkElement = document.createElement("span")
-        linkElement.textContent = numberToKeys(index, links.length)
+        linkElement.textContent = labels[position]
         linkElement.className = `follow-${link.type}`
         const charWidth = getSetting("fontsize") * 0.60191
         const borderRightMargin = charWidth * linkElement.textContent.length
@@ -220,7 +245,14 @@ const parseAndDisplayLinks = receivedLinks => {
         const onclickListener = async e => {
             const {hasProtocol} = require("../util")
             const {setMode} = require("./modes")
-            if (e.button === 1 && hasProtocol(link.url)) {
+            if (followMultiple) {
+                followMultiple(link)
+                refreshFollow()
+            } else if (followCallback) {
+                const callback = followCallback
+                setMode(getStored("modebeforefollow"))
+                callback(link)
+            } else if (e.button === 1 && hasProtocol(link.url)) {
                 setMode(getStored("modebeforefollow"))
                 const {addTab} = require("./tabs")
                 addTab({
@@ -254,12 +286,56 @@ const parseAndDisplayLinks = receivedLinks => {
     applyIndexedOrder()
 }
 
+const refreshFollow = () => {
+    // Show all the hints again for the next pick, without leaving follow mode
+    alreadyFollowing = false
+    displayLinks()
+    informPreload()
+    currentPage().send("follow-mode-start")
+}
+
+const followLink = async(link, stayInFollowMode) => {
+    if (followMultiple) {
+        followMultiple(link)
+        refreshFollow()
+        return
+    }
+    const {setMode} = require("./modes")
+    if (followCallback) {
+        const callback = followCallback
+        setMode(getStored("modebeforefollow"))
+        callback(link)
+        return
+    }
+    if (followNewtab) {
+        setMode("normal")
+        if (stayInFollowMode) {
+            startFollow()
+        }
+        const {addTab} = require("./tabs")
+        addTab({
+            "switchTo": !stayInFollowMode && getSetting("follownewtabswitch"),
+            "url": link.url
+        })
+        return
+    }
+    await clickAtLink(link)
+    if (link.type !== "inputs-insert") {
+        setMode(getStored("modebeforefollow"))
+        if (stayInFollowMode) {
+            startFollow()
+        }
+    }
+}
+
 const enterKey = async id => {
     alreadyFollowing = true
-    if (id.toLowerCase() === id.toUpperCase() || id.length > 1) {
+    const chars = getSetting("followchars").toUpperCase()
+    if (id.length > 1 || !chars.includes(id.toUpperCase())) {
         return
     }
     const stayInFollowMode = id.toUpperCase() === id
+        && id.toLowerCase() !== id
     const key = id.toUpperCase()
     const allLinkKeys = [...document.querySelectorAll("#follow span[link-id]")]
     const matches = []
@@ -271,40 +347,90 @@ const enterKey = async id => {
             linkKey.remove()
         }
     })
-    const {setMode} = require("./modes")
-    if (matches.length === 0) {
+    if (matches.length === 0 && followMultiple) {
+        refreshFollow()
+    } else if (matches.length === 0) {
+        const {setMode} = require("./modes")
         setMode(getStored("modebeforefollow"))
         if (stayInFollowMode) {
             startFollow()
         }
     } else if (matches.length === 1) {
-        const link = links[matches[0].getAttribute("link-id")]
-        if (followNewtab) {
-            setMode("normal")
-            if (stayInFollowMode) {
-                startFollow()
-            }
-            const {addTab} = require("./tabs")
-            addTab({
-                "switchTo": !stayInFollowMode
-                    && getSetting("follownewtabswitch"),
-                "url": link.url
-            })
+        await followLink(
+            links[matches[0].getAttribute("link-id")], stayInFollowMode)
+    }
+}
+
+const hintActions = [
+    "container",
+    "download",
+    "external",
+    "focus",
+    "split",
+    "vsplit",
+    "yanktext",
+    "yankurl"
+]
+
+const runHintAction = (action, link, container) => {
+    const {commonAction} = require("./contextmenu")
+    if (action === "container") {
+        const {addTab} = require("./tabs")
+        addTab({container, "url": link.url})
+    } else if (["download", "external"].includes(action)) {
+        commonAction("link", action, {"link": link.url})
+    } else if (action === "focus") {
+        currentPage().send("focus-element", {
+            "x": link.x + link.width / 2, "y": link.y + link.height / 2
+        })
+    } else if (action === "split") {
+        const {openInNewWindow} = require("./command")
+        openInNewWindow(link.url)
+    } else if (action === "vsplit") {
+        const {openInNewWindow} = require("./command")
+        openInNewWindow("--vertical", link.url)
+    } else if (action === "yanktext") {
+        const {yank} = require("./registers")
+        yank(link.text || link.title || link.url)
+    } else if (action === "yankurl") {
+        commonAction("link", "copy", {"link": link.url})
+    }
+}
+
+const followCommand = args => {
+    const [action, container] = args
+    const {notify, specialChars} = require("../util")
+    if (!hintActions.includes(action)) {
+        notify("The follow command requires one of these actions: "
+            + `${hintActions.join(", ")}`, "warn")
+        return
+    }
+    if (action === "container") {
+        const simpleName = container?.replace(/_/g, "")
+        if (!simpleName || simpleName.match(specialChars)) {
+            notify("The container action requires the name of a container, "
+                + "without special characters besides underscores", "warn")
             return
         }
-        await clickAtLink(link)
-        if (link.type !== "inputs-insert") {
-            setMode(getStored("modebeforefollow"))
-            if (stayInFollowMode) {
-                startFollow()
-            }
-        }
     }
+    if (args.length > 1 && action !== "container" || args.length > 2) {
+        notify(`Too many arguments for the ${action} action of the `
+            + "follow command", "warn")
+        return
+    }
+    if (!currentPage()) {
+        return
+    }
+    // Actions that need a url only show links, the others show any element
+    const onlyLinks = !["focus", "yanktext"].includes(action)
+    startFollow(onlyLinks, link => runHintAction(action, link, container))
 }
 
 module.exports = {
     cancelFollow,
     enterKey,
+    followCommand,
+    hintActions,
     parseAndDisplayLinks,
     reorderDisplayedLinks,
     startFollow
@@ -41,7 +41,7 @@ const init = () => {
     groupedHistory = readJSON(histFile) || {}
 }
 
-const suggestHist = (searchStr, order, count) => {
+const matchingHistory = (searchStr, order, count) => {
     // Simplify the search to a list of words, or an ordered list of words,
     // ordered matches take priority over unordered matches only.
     // In turn, exact matches get priority over ordered matches.
@@ -49,10 +49,8 @@ const suggestHist = (searchStr, order, count) => {
     const simpleSearch = search.split(specialChars).filter(w => w)
     if (!isFile(histFile)) {
         // No need to suggest history if it's not stored
-        return
+        return []
     }
-    const {addExplore} = require("./suggest")
-    const {forSite} = require("./favicons")
     const entries = Object.keys(groupedHistory).map(url => {
         if (!groupedHistory[url]) {
             return null
@@ -104,7 +102,13 @@ const suggestHist = (searchStr, order, count) => {
     if (order === "relevance") {
         entries.sort((a, b) => b.top - a.top)
     }
-    entries.slice(0, count).forEach(h => addExplore(
+    return entries.slice(0, count)
+}
+
+const suggestHist = (searchStr, order, count) => {
+    const {addExplore} = require("./suggest")
+    const {forSite} = require("./favicons")
+    matchingHistory(searchStr, order, count).forEach(h => addExplore(
         {...h, "icon": forSite(h.url)}))
 }
 
@@ -236,6 +240,7 @@ module.exports = {
     addToHist,
     handleRequest,
     init,
+    matchingHistory,
     suggestHist,
     suggestTopSites,
     titleForPage,
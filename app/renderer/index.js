@@ -21,7 +21,11 @@ window.addEventListener("DOMContentLoaded", () => {
     require("./input").init()
     require("./settings").init()
     require("./history").init()
+    require("./marks").init()
+    require("./bookmarks").init()
     require("./tabs").init()
     require("./favicons").init()
     require("./modes").init()
+    require("./autocmd").init()
+    require("./userstyles").init()
 })
@@ -32,6 +32,7 @@ const defaultBindings = {
         "<C-m>": {"mapping": "<action.menuOpen>"},
         "<C-n>": {"mapping": "<action.commandHistoryNext>"},
         "<C-p>": {"mapping": "<action.commandHistoryPrevious>"},
+        "<C-r>": {"mapping": "<action.pasteFromRegister>"},
         "<CR>": {"mapping": "<action.useEnteredData>"},
         "<Esc>": {"mapping": "<action.toNormalMode>"},
         "<F1>": {"mapping": "<:help>"},
@@ -45,6 +46,7 @@ const defaultBindings = {
         "<C-m>": {"mapping": "<action.menuOpen>"},
         "<C-n>": {"mapping": "<action.exploreHistoryNext>"},
         "<C-p>": {"mapping": "<action.exploreHistoryPrevious>"},
+        "<C-r>": {"mapping": "<action.pasteFromRegister>"},
         "<CR>": {"mapping": "<action.useEnteredData>"},
         "<Esc>": {"mapping": "<action.toNormalMode>"},
         "<F1>": {"mapping": "<:help>"},
@@ -66,6 +68,7 @@ const defaultBindings = {
         "<C-[>": {"mapping": "<action.toNormalMode>"},
         "<C-i>": {"mapping": "<action.editWithVim>"},
         "<C-m>": {"mapping": "<action.menuOpen>"},
+        "<C-r>": {"mapping": "<action.pasteFromRegister>"},
         "<CapsLock>": {"mapping": "<Nop>"},
         "<Esc>": {"mapping": "<action.toNormalMode>"},
         "<F1>": {"mapping": "<:help>"},
@@ -90,11 +93,15 @@ const defaultBindings = {
         "<Up>": {"mapping": "<action.menuUp>"}
     },
     "n": {
+        "\"": {"mapping": "<action.selectRegister>"},
         "$": {"mapping": "<action.scrollPageRight>"},
         "+": {"mapping": "<action.zoomIn>"},
+        ".": {"mapping": "<action.repeatLastAction>"},
         "/": {"mapping": "<action.toSearchMode>"},
         ":": {"mapping": "<action.toCommandMode>"},
         "<A-F4>": {"mapping": "<:quitall>"},
+        "<A-d>": {"mapping": "<action.startFollowMultipleDownloads>"},
+        "<A-f>": {"mapping": "<action.startFollowMultipleTabs>"},
         "<C-0>": {"mapping": "<action.zoomReset>"},
         "<C-a>": {"mapping": "<action.increasePageNumber>"},
         "<C-b>": {"mapping": "<action.scrollPageUp>"},
@@ -172,8 +179,10 @@ const defaultBindings = {
         "<ScrollLock>": {"mapping": "<Nop>"},
         "<Tab>": {"mapping": "<Nop>"},
         "=": {"mapping": "<action.zoomIn>"},
+        "@": {"mapping": "<action.runRecording>"},
         "^": {"mapping": "<action.scrollPageLeft>"},
         "_": {"mapping": "<action.zoomOut>"},
+        "`": {"mapping": "<action.restoreMark>"},
         "-": {"mapping": "<action.zoomOut>"},
         "D": {"mapping": "<action.downloadLink>"},
         "E": {"mapping": "<action.openNewTab><action.toExploreMode>"},
@@ -202,8 +211,10 @@ const defaultBindings = {
         "j": {"mapping": "<action.scrollDown>"},
         "k": {"mapping": "<action.scrollUp>"},
         "l": {"mapping": "<action.scrollRight>"},
+        "m": {"mapping": "<action.makeMark>"},
         "n": {"mapping": "<action.nextSearchMatch>"},
         "p": {"mapping": "<action.openFromClipboard>"},
+        "q": {"mapping": "<action.startOrStopRecording>"},
         "r": {"mapping": "<action.reload>"},
         "t": {"mapping": "<action.openNewTab>"},
         "u": {"mapping": "<action.reopenTab>"},
@@ -213,6 +224,7 @@ const defaultBindings = {
         "y": {"mapping": "<action.pageToClipboard>"}
     },
     "p": {
+        "\"": {"mapping": "<action.selectRegister>"},
         "$": {"mapping": "<pointer.moveRightMax>"},
         "<A-F4>": {"mapping": "<:quitall>"},
         "<C-[>": {"mapping": "<action.toNormalMode>"},
@@ -271,6 +283,9 @@ const defaultBindings = {
         "oo": {"mapping": "<pointer.openLink>"},
         "ov": {"mapping": "<pointer.openVideo>"},
         "r": {"mapping": "<pointer.rightClick>"},
+        "se": {"mapping": "<pointer.screenshotElement>"},
+        "sp": {"mapping": "<pointer.screenshotFull>"},
+        "sv": {"mapping": "<pointer.screenshotVisible>"},
         "v": {"mapping": "<pointer.startVisualSelect>"},
         "w": {"mapping": "<pointer.moveFastRight>"},
         "xa": {"mapping": "<pointer.externalAudio>"},
@@ -291,12 +306,14 @@ const defaultBindings = {
         "<A-F4>": {"mapping": "<:quitall>"},
         "<C-[>": {"mapping": "<action.toNormalMode>"},
         "<C-m>": {"mapping": "<action.menuOpen>"},
+        "<C-r>": {"mapping": "<action.pasteFromRegister>"},
         "<CR>": {"mapping": "<action.useEnteredData>"},
         "<Esc>": {"mapping": "<action.toNormalMode>"},
         "<F1>": {"mapping": "<:help>"},
         "<F11>": {"mapping": "<action.toggleFullscreen>"}
     },
     "v": {
+        "\"": {"mapping": "<action.selectRegister>"},
         "$": {"mapping": "<pointer.moveRightMax>"},
         "<A-F4>": {"mapping": "<:quitall>"},
         "<C-[>": {"mapping": "<action.toNormalMode>"},
@@ -343,9 +360,20 @@ let repeatCounter = 0
 let recursiveCounter = 0
 let pressedKeys = ""
 let bindings = {}
+let siteBindings = {}
 let supportedActions = []
 let timeoutTimer = null
 let blockNextInsertKey = false
+let keyArgumentCallback = null
+let keyArgumentCount = 0
+let recordingName = null
+let recordingString = ""
+let lastMappingKeys = ""
+let lastRunRecording = null
+let passthroughEscaped = false
+let lastRepeatable = null
+let repeatableAwaitsArgument = false
+let repeatCountOverride = 0
 const mapStringSplitter = /(<.*?[^-]>|<.*?->>|.)/g
 let inputHistoryList = [{"index": 0, "value": ""}]
 let inputHistoryIndex = 0
@@ -613,6 +641,63 @@ const fromIdentifier = identifier => {
     return {...options, "key": id, "keyCode": id}
 }
 
+// Actions that only switch mode or prepare another action, which are not
+// remembered by action.repeatLastAction
+const nonRepeatableMappings = [
+    "<action.menuClose>",
+    "<action.menuOpen>",
+    "<action.repeatLastAction>",
+    "<action.selectRegister>",
+    "<action.startFollowCurrentTab>",
+    "<action.startFollowMultipleDownloads>",
+    "<action.startFollowMultipleTabs>",
+    "<action.startFollowNewTab>",
+    "<action.startOrStopRecording>",
+    "<action.startRecording>",
+    "<action.stopRecording>",
+    "<action.toCommandMode>",
+    "<action.toExploreMode>",
+    "<action.toInsertMode>",
+    "<action.toNormalMode>",
+    "<action.toSearchMode>",
+    "<pointer.start>",
+    "Nop"
+]
+
+// Motions and jumps that don't change anything, which are not remembered by
+// action.repeatLastAction either, so it repeats the last change instead
+const motionActions = [
+    "<action.backInHistory>",
+    "<action.forwardInHistory>",
+    "<action.nextSearchMatch>",
+    "<action.nextTab>",
+    "<action.previousSearchMatch>",
+    "<action.previousTab>",
+    "<action.restoreMark>",
+    "<action.scrollBottom>",
+    "<action.scrollDown>",
+    "<action.scrollLeft>",
+    "<action.scrollPageDown>",
+    "<action.scrollPageDownHalf>",
+    "<action.scrollPageLeft>",
+    "<action.scrollPageRight>",
+    "<action.scrollPageUp>",
+    "<action.scrollPageUpHalf>",
+    "<action.scrollRight>",
+    "<action.scrollTop>",
+    "<action.scrollUp>",
+    "<action.setFocusCorrectly>",
+    "<action.toBottomSplitWindow>",
+    "<action.toFirstSplitWindow>",
+    "<action.toLastSplitWindow>",
+    "<action.toLastUsedTab>",
+    "<action.toLeftSplitWindow>",
+    "<action.toNextSplitWindow>",
+    "<action.toPreviousSplitWindow>",
+    "<action.toRightSplitWindow>",
+    "<action.toTopSplitWindow>"
+]
+
 // Single use actions that do not need to be called multiple times if counted
 const uncountableActions = [
     "action.emptySearch",
@@ -628,6 +713,8 @@ const uncountableActions = [
     "action.decreasePageNumber",
     "action.toSearchMode",
     "action.startFollowNewTab",
+    "action.startFollowMultipleTabs",
+    "action.startFollowMultipleDownloads",
     "action.scrollBottom",
     "action.openNewTabWithCurrentUrl",
     "action.toCommandMode",
@@ -645,6 +732,8 @@ const uncountableActions = [
     "action.distrubuteSpaceSplitWindow",
     "action.pageToClipboard",
     "action.openFromClipboard",
+    "action.selectRegister",
+    "action.pasteFromRegister",
     "action.openLinkExternal",
     "action.downloadLink",
     "action.toggleFullscreen",
@@ -652,6 +741,11 @@ const uncountableActions = [
     "action.menuSelect",
     "action.menuClose",
     "action.useEnteredData",
+    "action.makeMark",
+    "action.restoreMark",
+    "action.startRecording",
+    "action.stopRecording",
+    "action.startOrStopRecording",
     "pointer.start",
     "pointer.startVisualSelect",
     "pointer.inspectElement",
@@ -690,12 +784,147 @@ const uncountableActions = [
     "pointer.copyVideo",
     "pointer.copyText",
     "pointer.copyLink",
+    "pointer.screenshotElement",
+    "pointer.screenshotFull",
+    "pointer.screenshotVisible",
     "Nop"
 ]
 
 
-const hasFutureActionsBasedOnKeys = keys => Object.keys(bindings[
-    currentMode()[0]]).find(map => map.startsWith(keys) && map !== keys)
+const requestKeyArgument = callback => {
+    // Counted actions request the same argument multiple times
+    if (keyArgumentCallback === callback) {
+        keyArgumentCount += 1
+    } else {
+        keyArgumentCallback = callback
+        keyArgumentCount = 1
+    }
+    updateKeysOnScreen()
+}
+
+const startRecording = name => {
+    const {isValidMacroName} = require("./registers")
+    if (!isValidMacroName(name)) {
+        notify(`Macro register names must be a letter, not: ${name}`,
+            "warn")
+        return
+    }
+    recordingName = name
+    recordingString = ""
+    document.getElementById("recording").textContent = `recording @${
+        name.toLowerCase()}`
+    document.getElementById("recording").style.display = "flex"
+}
+
+const stopRecording = () => {
+    if (!recordingName) {
+        return
+    }
+    // Don't include the keys of the mapping that stopped the recording
+    const keys = recordingString.split(mapStringSplitter).filter(m => m)
+    const mappingKeys = lastMappingKeys.split(mapStringSplitter)
+        .filter(m => m)
+    const endsWithMapping = keys.slice(-mappingKeys.length).join("")
+        === lastMappingKeys
+    if (mappingKeys.length && endsWithMapping) {
+        keys.splice(-mappingKeys.length)
+    }
+    const {setRegister} = require("./registers")
+    setRegister(recordingName, keys.join(""))
+    recordingName = null
+    recordingString = ""
+    document.getElementById("recording").style.display = "none"
+}
+
+const isRecording = () => !!recordingName
+
+const runRecording = (name, count = 1) => {
+    let register = name
+    if (name === "@") {
+        register = lastRunRecording
+        if (!register) {
+            notify("No previously executed register to repeat", "warn")
+            return
+        }
+    }
+    const {getRegister, isValidMacroName} = require("./registers")
+    if (!isValidMacroName(register)) {
+        notify(`Macro register names must be a letter, not: ${register}`,
+            "warn")
+        return
+    }
+    const recording = getRegister(register)
+    if (!recording) {
+        notify(`Register is empty: ${register}`, "warn")
+        return
+    }
+    lastRunRecording = register
+    // Recordings started from other recordings count towards maxmapdepth
+    executeMapString(recording.repeat(count), true, recursiveCounter === 0)
+}
+
+const activeBindings = mode => {
+    const url = currentPage()?.src || ""
+    let active = bindings[mode]
+    Object.keys(siteBindings).forEach(pattern => {
+        if (url.match(pattern)) {
+            active = {...active, ...siteBindings[pattern][mode]}
+        }
+    })
+    return active
+}
+
+const isPassthroughPage = () => {
+    const url = currentPage()?.src || ""
+    return !!getSetting("passthrough").split(",")
+        .find(pattern => pattern.trim() && url.match(pattern))
+}
+
+const storeRepeatable = (mapStr, recursive) => {
+    if (currentMode() !== "normal") {
+        return
+    }
+    if (mapStr.includes("<action.repeatLastAction>")) {
+        // A count given to the repeat action replaces the original count
+        repeatCountOverride = Number(repeatCounter)
+        repeatCounter = 0
+        return
+    }
+    if (nonRepeatableMappings.includes(mapStr)) {
+        return
+    }
+    const keys = mapStr.split(mapStringSplitter).filter(k => k)
+    if (keys.every(key => motionActions.includes(key))) {
+        return
+    }
+    lastRepeatable = {"count": Number(repeatCounter), mapStr, recursive}
+    repeatableAwaitsArgument = true
+}
+
+const storeRepeatableCommand = command => {
+    if (command) {
+        lastRepeatable = {command}
+        repeatableAwaitsArgument = false
+    }
+}
+
+const repeatLastAction = async() => {
+    if (!lastRepeatable) {
+        notify("No action has been executed yet that can be repeated", "warn")
+        return
+    }
+    if (lastRepeatable.command) {
+        const {execute} = require("./command")
+        execute(lastRepeatable.command)
+        return
+    }
+    repeatCounter = repeatCountOverride || lastRepeatable.count
+    repeatCountOverride = 0
+    await executeMapString(lastRepeatable.mapStr, lastRepeatable.recursive)
+}
+
+const hasFutureActionsBasedOnKeys = keys => Object.keys(activeBindings(
+    currentMode()[0])).find(map => map.startsWith(keys) && map !== keys)
 
 const sendKeysToWebview = async(options, mapStr) => {
     blockNextInsertKey = true
@@ -704,7 +933,7 @@ const sendKeysToWebview = async(options, mapStr) => {
     }
     currentPage().sendInputEvent({...options, "type": "keyDown"})
     if (options.bubbles) {
-        const action = bindings[currentMode()[0]][mapStr]
+        const action = activeBindings(currentMode()[0])[mapStr]
         if (action) {
             await executeMapString(action.mapping, !action.noremap)
         }
@@ -716,6 +945,7 @@ const sendKeysToWebview = async(options, mapStr) => {
 
 const executeMapString = async(mapStr, recursive, initial) => {
     if (initial) {
+        storeRepeatable(mapStr, recursive)
         recursiveCounter = 0
         if (!hasFutureActionsBasedOnKeys(pressedKeys)) {
             pressedKeys = ""
@@ -813,6 +1043,46 @@ const handleKeyboard = async e => {
         return
     }
     const id = toIdentifier(e)
+    if (recordingName && e.isTrusted) {
+        recordingString += id
+    }
+    if (keyArgumentCallback) {
+        // The key is the argument of the previous action, such as a mark name
+        if (repeatableAwaitsArgument && e.isTrusted) {
+            lastRepeatable.mapStr += id
+        }
+        repeatableAwaitsArgument = false
+        const callback = keyArgumentCallback
+        keyArgumentCallback = null
+        clearTimeout(timeoutTimer)
+        repeatCounter = 0
+        pressedKeys = ""
+        updateKeysOnScreen()
+        if (id !== "<Esc>" && id !== "<C-[>") {
+            callback(id, keyArgumentCount)
+        }
+        return
+    }
+    repeatableAwaitsArgument = false
+    const noKeysPending = !pressedKeys && !repeatCounter
+    if (currentMode() === "normal" && e.isTrusted && noKeysPending) {
+        if (!passthroughEscaped && isPassthroughPage()) {
+            // Only the passthroughkey is handled by Vieb, for the next mapping
+            if (id === getSetting("passthroughkey")) {
+                passthroughEscaped = true
+                return
+            }
+            const {ipcRenderer} = require("electron")
+            ipcRenderer.sendSync("insert-mode-blockers", "pass")
+            // The first event is ignored, so we send a dummy event
+            await sendKeysToWebview(fromIdentifier(""), "")
+            const options = {...fromIdentifier(id), "bubbles": false}
+            await sendKeysToWebview(options, id)
+            blockNextInsertKey = false
+            updateKeysOnScreen()
+            return
+        }
+    }
     updateKeysOnScreen()
     clearTimeout(timeoutTimer)
     if (getSetting("timeout")) {
@@ -848,7 +1118,8 @@ const handleKeyboard = async e => {
     if ("npv".includes(currentMode()[0]) || menuActive()) {
         const keyNumber = Number(id)
         const noFutureActions = !hasFutureActionsBasedOnKeys(pressedKeys + id)
-        const currentAction = bindings[currentMode()[0]][pressedKeys + id]
+        const currentAction = activeBindings(
+            currentMode()[0])[pressedKeys + id]
         if (!isNaN(keyNumber) && noFutureActions && !currentAction) {
             repeatCounter = Number(String(repeatCounter) + keyNumber)
             if (repeatCounter > getSetting("countlimit")) {
@@ -871,9 +1142,10 @@ const handleKeyboard = async e => {
         pressedKeys = ""
     }
     pressedKeys += id
-    const menuAction = bindings.m[pressedKeys]
+    const menuAction = activeBindings("m")[pressedKeys]
     if (menuAction && menuActive()) {
         if (e.isTrusted) {
+            lastMappingKeys = pressedKeys
             executeMapString(menuAction.mapping, !menuAction.noremap, true)
         } else {
             executeMapString(menuAction.mapping, e.bubbles)
@@ -882,9 +1154,11 @@ const handleKeyboard = async e => {
     }
     if (!hasFutureActionsBasedOnKeys(pressedKeys) || !e.isTrusted) {
         clearTimeout(timeoutTimer)
-        const action = bindings[currentMode()[0]][pressedKeys]
+        const action = activeBindings(currentMode()[0])[pressedKeys]
         if (action && (e.isTrusted || e.bubbles)) {
             if (e.isTrusted) {
+                passthroughEscaped = false
+                lastMappingKeys = pressedKeys
                 executeMapString(action.mapping, !action.noremap, true)
             } else {
                 executeMapString(action.mapping, e.bubbles)
@@ -919,6 +1193,7 @@ const handleKeyboard = async e => {
                 setTimeout(r, 3)
             })
         }
+        passthroughEscaped = false
         repeatCounter = 0
         pressedKeys = ""
     }
@@ -958,6 +1233,16 @@ const updateNavbarScrolling = () => {
     }
 }
 
+const insertTextIntoNavbar = text => {
+    const url = document.getElementById("url")
+    const start = url.selectionStart
+    url.value = url.value.slice(0, start) + text
+        + url.value.slice(url.selectionEnd)
+    url.setSelectionRange(start + text.length, start + text.length)
+    updateSuggestions()
+    updateNavbarScrolling()
+}
+
 const typeCharacterIntoNavbar = id => {
     if (!"ces".includes(currentMode()[0])) {
         return
@@ -1301,21 +1586,51 @@ const updateKeysOnScreen = () => {
     } else {
         document.getElementById("pressed-keys").style.display = "none"
     }
+    updateKeyHints()
     const {ipcRenderer} = require("electron")
     const {active} = require("./contextmenu")
-    if (pressedKeys) {
+    if (pressedKeys || keyArgumentCallback) {
         ipcRenderer.send("insert-mode-blockers", "all")
     } else if (active()) {
-        ipcRenderer.send("insert-mode-blockers", Object.keys(bindings.i)
-            .concat(Object.keys(bindings.m)).concat("0123456789".split(""))
+        ipcRenderer.send("insert-mode-blockers", Object.keys(
+            activeBindings("i")).concat(Object.keys(activeBindings("m")))
+            .concat("0123456789".split(""))
             .map(mapping => fromIdentifier(
                 mapping.split(mapStringSplitter).filter(m => m)[0])))
     } else {
-        ipcRenderer.send("insert-mode-blockers", Object.keys(bindings.i)
-            .map(mapping => fromIdentifier(
-                mapping.split(mapStringSplitter).filter(m => m)[0]))
-        )
+        ipcRenderer.send("insert-mode-blockers", Object.keys(
+            activeBindings("i")).map(mapping => fromIdentifier(
+            mapping.split(mapStringSplitter).filter(m => m)[0])))
+    }
+}
+
+const updateKeyHints = () => {
+    const keyHints = document.getElementById("key-hints")
+    keyHints.textContent = ""
+    if (!pressedKeys || !getSetting("mapsuggest")) {
+        keyHints.style.display = "none"
+        return
+    }
+    const modeBindings = activeBindings(currentMode()[0])
+    const continuations = Object.keys(modeBindings).filter(
+        map => map.startsWith(pressedKeys) && map !== pressedKeys).sort()
+    if (!continuations.length) {
+        keyHints.style.display = "none"
+        return
     }
+    for (const map of continuations) {
+        const hint = document.createElement("div")
+        const keys = document.createElement("span")
+        keys.className = "keys"
+        keys.textContent = map.slice(pressedKeys.length)
+        hint.appendChild(keys)
+        const mapping = document.createElement("span")
+        mapping.className = "mapping"
+        mapping.textContent = modeBindings[map].mapping
+        hint.appendChild(mapping)
+        keyHints.appendChild(hint)
+    }
+    keyHints.style.display = "flex"
 }
 
 const listSupportedActions = () => supportedActions
@@ -1336,7 +1651,9 @@ const mappingModified = (mode, mapping) => {
     return true
 }
 
-const listMappingsAsCommandList = (oneMode = false, includeDefault = false) => {
+const listMappingsAsCommandList = (
+    oneMode = false, includeDefault = false, skipSourced = false
+) => {
     let mappings = []
     let modes = Object.keys(defaultBindings)
     if (oneMode) {
@@ -1346,7 +1663,8 @@ const listMappingsAsCommandList = (oneMode = false, includeDefault = false) => {
         const keys = [...new Set(Object.keys(defaultBindings[bindMode])
             .concat(Object.keys(bindings[bindMode])))]
         for (const key of keys) {
-            mappings.push(listMapping(bindMode, key, includeDefault))
+            mappings.push(
+                listMapping(bindMode, key, includeDefault, skipSourced))
         }
     })
     if (!oneMode) {
@@ -1361,15 +1679,53 @@ const listMappingsAsCommandList = (oneMode = false, includeDefault = false) => {
             })
         mappings = [...globalMappings, ...mappings]
     }
+    Object.keys(siteBindings).forEach(url => {
+        mappings = mappings.concat(
+            listSiteMappings(url, oneMode, null, skipSourced))
+    })
     return mappings.join("\n").replace(/[\r\n]+/g, "\n").trim()
 }
 
-const listMapping = (mode, rawKey, includeDefault) => {
+const listSiteMappings = (
+    url, oneMode = false, rawKey = null, skipSourced = false
+) => {
+    const {isIncludedFile} = require("./settings")
+    let modes = Object.keys(defaultBindings)
+    if (oneMode) {
+        modes = [oneMode]
+    }
+    const mappings = []
+    modes.forEach(bindMode => {
+        let keys = Object.keys(siteBindings[url]?.[bindMode] || {})
+        if (rawKey) {
+            keys = keys.filter(key => key === sanitiseMapString(rawKey))
+        }
+        for (const key of keys) {
+            const mapping = siteBindings[url][bindMode][key]
+            if (skipSourced && isIncludedFile(mapping.file)) {
+                continue
+            }
+            let command = `${bindMode}map`
+            if (mapping.noremap) {
+                command = `${bindMode}noremap`
+            }
+            mappings.push(`${command} --url=${url} ${key} ${mapping.mapping}`)
+        }
+    })
+    return mappings
+}
+
+const listMapping = (mode, rawKey, includeDefault, skipSourced = false) => {
     const key = sanitiseMapString(rawKey)
     if (!mappingModified(mode, key) && !includeDefault) {
         return ""
     }
     const mapping = bindings[mode][key]
+    const {isIncludedFile} = require("./settings")
+    if (skipSourced && isIncludedFile(mapping?.file)) {
+        // Mappings of sourced files are written as a source command instead
+        return ""
+    }
     if (mapping) {
         if (mapping.noremap) {
             return `${mode}noremap ${key} ${mapping.mapping}`
@@ -1382,11 +1738,52 @@ const listMapping = (mode, rawKey, includeDefault) => {
     return ""
 }
 
-const mapOrList = (mode, args, noremap, includeDefault) => {
-    if (includeDefault && args.length > 1) {
+const extractUrlArgument = args => {
+    if (!args[0]?.startsWith("--url=")) {
+        return {args}
+    }
+    const url = args[0].replace("--url=", "")
+    if (!url) {
+        notify("The --url argument requires a regular expression", "warn")
+        return {"invalid": true}
+    }
+    try {
+        RegExp(url)
+    } catch (e) {
+        notify(`Invalid regular expression in mapping url: ${url}`, "warn")
+        return {"invalid": true}
+    }
+    return {"args": args.slice(1), url}
+}
+
+const siteMapOrList = (mode, args, noremap, url) => {
+    if (args.length > 1) {
+        mapSingle(mode, args, noremap, url)
+        return
+    }
+    const mappings = listSiteMappings(url, mode, args[0]).join("\n")
+    if (mappings) {
+        notify(mappings)
+    } else if (args.length) {
+        notify("No mapping found for this sequence and url")
+    } else {
+        notify("No mappings found for this url")
+    }
+}
+
+const mapOrList = (mode, rawArgs, noremap, includeDefault) => {
+    const {args, url, invalid} = extractUrlArgument(rawArgs)
+    if (invalid) {
+        return
+    }
+    if (includeDefault && (args.length > 1 || url)) {
         notify("Mappings are always overwritten, no need for !", "warn")
         return
     }
+    if (url) {
+        siteMapOrList(mode, args, noremap, url)
+        return
+    }
     if (args.length === 0) {
         const mappings = listMappingsAsCommandList(mode, includeDefault)
         if (mappings) {
@@ -1439,6 +1836,9 @@ const sanitiseMapString = (mapString, allowSpecials = false) => mapString
                 .split("-").filter(s => s)
             modifiers = splitKeys.slice(0, -1).map(mod => mod.toUpperCase())
             ;[key] = splitKeys.slice(-1)
+            if (key.toLowerCase() === "leader" && !modifiers.length) {
+                return getSetting("mapleader")
+            }
         }
         let knownKey = false
         for (const name of keyNames) {
@@ -1492,41 +1892,70 @@ const sanitiseMapString = (mapString, allowSpecials = false) => mapString
         return key
     }).join("")
 
-const mapSingle = (mode, args, noremap) => {
+const mapSingle = (mode, args, noremap, url = null) => {
     const mapping = sanitiseMapString(args.shift())
     const actions = sanitiseMapString(args.join(" "), true)
     if (!actions) {
         return
     }
+    // The file is stored to leave out mappings of sourced files in mkviebrc
+    const {sourcingFile} = require("./settings")
+    const file = sourcingFile()
+    let target = bindings
+    if (url) {
+        if (!siteBindings[url]) {
+            siteBindings[url] = {}
+            Object.keys(bindings).forEach(m => {
+                siteBindings[url][m] = {}
+            })
+        }
+        target = siteBindings[url]
+    }
     if (mode) {
-        bindings[mode][mapping] = {"mapping": actions, noremap}
+        target[mode][mapping] = {file, "mapping": actions, noremap}
     } else {
-        Object.keys(bindings).forEach(m => {
-            bindings[m][mapping] = {"mapping": actions, noremap}
+        Object.keys(target).forEach(m => {
+            target[m][mapping] = {file, "mapping": actions, noremap}
         })
     }
     const {updateHelpPage} = require("./settings")
     updateHelpPage()
 }
 
-const unmap = (mode, args) => {
+const unmap = (mode, rawArgs) => {
+    const {args, url, invalid} = extractUrlArgument(rawArgs)
+    if (invalid) {
+        return
+    }
     if (args.length !== 1) {
         notify(`The ${mode}unmap command requires exactly one mapping`, "warn")
         return
     }
+    let target = bindings
+    if (url) {
+        target = siteBindings[url] || {}
+    }
     if (mode) {
-        delete bindings[mode][sanitiseMapString(args[0])]
+        delete target[mode]?.[sanitiseMapString(args[0])]
     } else {
-        Object.keys(bindings).forEach(bindMode => {
-            delete bindings[bindMode][sanitiseMapString(args[0])]
+        Object.keys(target).forEach(bindMode => {
+            delete target[bindMode][sanitiseMapString(args[0])]
         })
     }
+    const hasSiteMappings = Object.values(siteBindings[url] || {})
+        .find(modeBindings => Object.keys(modeBindings).length)
+    if (url && !hasSiteMappings) {
+        delete siteBindings[url]
+    }
     const {updateHelpPage} = require("./settings")
     updateHelpPage()
 }
 
 const clearmap = (mode, removeDefaults) => {
     if (mode) {
+        Object.keys(siteBindings).forEach(url => {
+            siteBindings[url][mode] = {}
+        })
         if (removeDefaults) {
             bindings[mode] = {}
         } else {
@@ -1539,6 +1968,9 @@ const clearmap = (mode, removeDefaults) => {
     } else {
         bindings = JSON.parse(JSON.stringify(defaultBindings))
     }
+    if (!mode) {
+        siteBindings = {}
+    }
     const {updateHelpPage} = require("./settings")
     updateHelpPage()
 }
@@ -1548,10 +1980,19 @@ module.exports = {
     doAction,
     executeMapString,
     init,
+    insertTextIntoNavbar,
+    isRecording,
     listMappingsAsCommandList,
     listSupportedActions,
     mapOrList,
+    repeatLastAction,
+    requestKeyArgument,
     resetInputHistory,
+    runRecording,
+    sanitiseMapString,
+    startRecording,
+    stopRecording,
+    storeRepeatableCommand,
     uncountableActions,
     unmap,
     updateKeysOnScreen
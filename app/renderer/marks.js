@@ -0,0 +1,206 @@
+/*
+* Vieb - Vim Inspired Electron Browser
+* Copyright (C) 2021 Jelmer van Arnhem
+*
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU General Public License as published by
+* the Free Software Foundation, either version 3 of the License, or
+* (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU General Public License for more details.
+*
+* You should have received a copy of the GNU General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+"use strict"
+
+const {
+    joinPath, appData, readJSON, writeJSON, deleteFile, urlToString, notify
+} = require("../util")
+const {listTabs, currentPage, tabOrPageMatching} = require("./common")
+
+const marksFile = joinPath(appData(), "marks")
+let marks = {"global": {}, "local": {}}
+
+const init = () => {
+    const parsed = readJSON(marksFile)
+    if (parsed) {
+        marks = {"global": parsed.global || {}, "local": parsed.local || {}}
+    }
+}
+
+const isGlobal = key => key.toUpperCase() === key
+
+const writeMarksToFile = () => {
+    Object.keys(marks.local).forEach(url => {
+        if (Object.keys(marks.local[url]).length === 0) {
+            delete marks.local[url]
+        }
+    })
+    if (!Object.keys(marks.global).length && !Object.keys(marks.local).length) {
+        deleteFile(marksFile)
+        return
+    }
+    writeJSON(marksFile, marks, "Failed to write the marks to disk")
+}
+
+const makeMark = key => {
+    if (!key.match(/^[a-zA-Z]$/)) {
+        notify(`Mark names must be a single letter, not: ${key}`, "warn")
+        return
+    }
+    const page = currentPage()
+    if (!page?.src) {
+        return
+    }
+    const url = page.src
+    page.executeJavaScript("[window.scrollX, window.scrollY]").then(pos => {
+        const [x, y] = pos.map(p => Math.round(p))
+        if (isGlobal(key)) {
+            marks.global[key] = {url, x, y}
+        } else {
+            if (!marks.local[url]) {
+                marks.local[url] = {}
+            }
+            marks.local[url][key] = {x, y}
+        }
+        writeMarksToFile()
+    }).catch(() => {
+        notify("Failed to read the scroll position of the page", "err")
+    })
+}
+
+const scrollPageToMark = (page, mark) => page.send(
+    "action", "scrollToPosition", mark.x, mark.y)
+
+const restoreMark = key => {
+    if (!key.match(/^[a-zA-Z]$/)) {
+        notify(`Mark names must be a single letter, not: ${key}`, "warn")
+        return
+    }
+    const page = currentPage()
+    if (!page) {
+        return
+    }
+    if (!isGlobal(key)) {
+        const mark = marks.local[page.src]?.[key]
+        if (mark) {
+            scrollPageToMark(page, mark)
+        } else {
+            notify(`Mark not set for this page: ${key}`, "warn")
+        }
+        return
+    }
+    const mark = marks.global[key]
+    if (!mark) {
+        notify(`Mark not set: ${key}`, "warn")
+        return
+    }
+    if (page.src === mark.url) {
+        scrollPageToMark(page, mark)
+        return
+    }
+    const {switchToTab, navigateTo} = require("./tabs")
+    const tab = listTabs().find(t => tabOrPageMatching(t).src === mark.url)
+    if (tab) {
+        switchToTab(tab)
+        const tabPage = tabOrPageMatching(tab)
+        if (tabPage.tagName?.toLowerCase() === "webview") {
+            scrollPageToMark(tabPage, mark)
+            return
+        }
+    } else {
+        navigateTo(mark.url)
+    }
+    // Suspended tabs and navigations need to finish loading before scrolling
+    const pageToScroll = currentPage()
+    // Only the first load is used, so a redirect won't scroll later pages
+    pageToScroll.addEventListener("did-stop-loading", () => {
+        if (pageToScroll.src === mark.url) {
+            scrollPageToMark(pageToScroll, mark)
+        }
+    }, {"once": true})
+}
+
+const expandMarkArgs = args => {
+    const keys = []
+    for (const arg of args) {
+        const parts = arg.split(/([a-zA-Z]-[a-zA-Z]|.)/g).filter(p => p)
+        for (const part of parts) {
+            if (part.match(/^[a-z]-[a-z]$|^[A-Z]-[A-Z]$/)) {
+                const start = part.charCodeAt(0)
+                const end = part.charCodeAt(2)
+                for (let code = start; code <= end; code++) {
+                    keys.push(String.fromCharCode(code))
+                }
+            } else if (part.match(/^[a-zA-Z]$/)) {
+                keys.push(part)
+            } else {
+                notify(`Invalid mark argument: ${part}`, "warn")
+                return null
+            }
+        }
+    }
+    return keys
+}
+
+const listMarks = (...args) => {
+    const keys = expandMarkArgs(args)
+    if (!keys) {
+        return
+    }
+    const url = currentPage()?.src
+    const localForPage = marks.local[url] || {}
+    const list = [
+        ...Object.keys(localForPage).sort().map(key => ({
+            key, url, ...localForPage[key]
+        })),
+        ...Object.keys(marks.global).sort().map(key => ({
+            key, ...marks.global[key]
+        }))
+    ].filter(mark => !keys.length || keys.includes(mark.key))
+    if (list.length === 0) {
+        if (keys.length) {
+            notify("No marks found for the provided arguments")
+        } else {
+            notify("No marks found")
+        }
+        return
+    }
+    notify(`--- Marks ---\n${list.map(mark => `${mark.key} ${mark.x},${
+        mark.y} ${urlToString(mark.url)}`).join("\n")}`)
+}
+
+const deleteMarks = (all, args) => {
+    const url = currentPage()?.src
+    if (all) {
+        if (args.length) {
+            notify("The delmarks! command takes no arguments", "warn")
+            return
+        }
+        delete marks.local[url]
+        writeMarksToFile()
+        return
+    }
+    if (args.length === 0) {
+        notify("Argument required, at least one mark to delete", "warn")
+        return
+    }
+    const keys = expandMarkArgs(args)
+    if (!keys) {
+        return
+    }
+    keys.forEach(key => {
+        if (isGlobal(key)) {
+            delete marks.global[key]
+        } else if (marks.local[url]) {
+            delete marks.local[url][key]
+        }
+    })
+    writeMarksToFile()
+}
+
+module.exports = {deleteMarks, init, listMarks, makeMark, restoreMark}
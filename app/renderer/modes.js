@@ -148,6 +148,8 @@ const setMode = m => {
     guiRelatedUpdate("navbar")
     const {setFocusCorrectly} = require("./actions")
     setFocusCorrectly()
+    const {fireEvent} = require("./autocmd")
+    fireEvent("ModeChanged")
 }
 
 module.exports = {init, setMode}
@@ -473,6 +473,63 @@ const applyLayout = () => {
     }
 }
 
+const layoutAsJSON = (element = document.getElementById("pagelayout")) => {
+    const flexGrow = Number(element.style.flexGrow) || null
+    if (element.getAttribute("link-id")) {
+        return {flexGrow, "id": element.getAttribute("link-id")}
+    }
+    return {
+        "children": [...element.children].map(c => layoutAsJSON(c)),
+        flexGrow,
+        "method": element.className
+    }
+}
+
+const mapLayout = (node, mapId) => {
+    if (node.id !== undefined) {
+        const id = mapId(node.id)
+        if (id === undefined || id === null) {
+            return null
+        }
+        return {...node, id}
+    }
+    return {
+        ...node,
+        "children": (node.children || []).map(c => mapLayout(c, mapId))
+            .filter(c => c)
+    }
+}
+
+const layoutIds = node => {
+    if (node?.id !== undefined) {
+        return [node.id]
+    }
+    return (node?.children || []).flatMap(layoutIds)
+}
+
+const restoreLayout = layout => {
+    const createElement = node => {
+        const element = document.createElement("div")
+        if (node.id) {
+            element.setAttribute("link-id", node.id)
+        } else if (["hor", "ver"].includes(node.method)) {
+            element.className = node.method
+            node.children?.forEach(c => element.appendChild(createElement(c)))
+        }
+        if (node.flexGrow) {
+            element.style.flexGrow = node.flexGrow
+        }
+        return element
+    }
+    const base = document.getElementById("pagelayout")
+    base.textContent = ""
+    if (["hor", "ver"].includes(layout?.method)) {
+        base.className = layout.method
+        layout.children?.forEach(c => base.appendChild(createElement(c)))
+    }
+    applyLayout()
+}
+
 module.exports = {
     add,
     applyLayout,
@@ -480,13 +537,17 @@ module.exports = {
     firstSplit,
     hide,
     lastSplit,
+    layoutAsJSON,
     layoutDivById,
+    layoutIds,
+    mapLayout,
     moveFocus,
     nextSplit,
     only,
     previousSplit,
     resetResizing,
     resize,
+    restoreLayout,
     rotateForward,
     rotateReverse,
     setLastUsedTab,
@@ -318,6 +318,21 @@ const centerOfView = () => {
     updateElement()
 }
 
+const screenshotElement = () => {
+    const {screenshotElementAt} = require("./screenshots")
+    screenshotElementAt(zoomX(), zoomY())
+}
+
+const screenshotFull = () => {
+    const {screenshot} = require("./screenshots")
+    screenshot("full")
+}
+
+const screenshotVisible = () => {
+    const {screenshot} = require("./screenshots")
+    screenshot("visible")
+}
+
 const scrollDown = () => {
     currentPage().sendInputEvent({
         "deltaX": 0, "deltaY": -100, "type": "mouseWheel", "x": X, "y": Y
@@ -468,6 +483,9 @@ module.exports = {
     openVideo,
     releaseKeys,
     rightClick,
+    screenshotElement,
+    screenshotFull,
+    screenshotVisible,
     scrollDown,
     scrollLeft,
     scrollRight,
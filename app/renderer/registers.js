@@ -0,0 +1,166 @@
+/*
+* Vieb - Vim Inspired Electron Browser
+* Copyright (C) 2021 Jelmer van Arnhem
+*
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU General Public License as published by
+* the Free Software Foundation, either version 3 of the License, or
+* (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU General Public License for more details.
+*
+* You should have received a copy of the GNU General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+"use strict"
+
+const {notify} = require("../util")
+const {currentPage, currentMode} = require("./common")
+
+const registers = {}
+const numberedRegisters = "0123456789"
+let selectedRegister = null
+
+const isValidName = name => !!name?.match(/^[a-zA-Z0-9]$/)
+
+// The numbered registers are reserved for the yank history, not for macros
+const isValidMacroName = name => !!name?.match(/^[a-zA-Z]$/)
+
+const setRegister = (name, value, type = "keys") => {
+    const existing = registers[name.toLowerCase()]
+    if (name.match(/^[A-Z]$/) && existing) {
+        // Uppercase names append to the register, similar to Vim
+        existing.value += value
+    } else {
+        registers[name.toLowerCase()] = {type, value}
+    }
+}
+
+const getRegister = name => registers[name.toLowerCase()]?.value || ""
+
+const selectRegister = name => {
+    if (!isValidName(name)) {
+        notify(`Register names must be a letter or number, not: ${name}`,
+            "warn")
+        return
+    }
+    selectedRegister = name
+}
+
+const yank = (text, toClipboard = true) => {
+    if (!text) {
+        return
+    }
+    // The numbered registers act as a ring of the most recent yanks
+    const ring = numberedRegisters.split("").map(name => registers[name])
+    ring.unshift({"type": "text", "value": text})
+    numberedRegisters.split("").forEach((name, index) => {
+        if (ring[index]) {
+            registers[name] = ring[index]
+        }
+    })
+    if (selectedRegister) {
+        setRegister(selectedRegister, text, "text")
+        selectedRegister = null
+        return
+    }
+    if (toClipboard) {
+        const {clipboard} = require("electron")
+        clipboard.writeText(text)
+    }
+}
+
+const clipboardOrSelectedRegister = () => {
+    if (selectedRegister) {
+        const text = getRegister(selectedRegister)
+        selectedRegister = null
+        return text
+    }
+    const {clipboard} = require("electron")
+    return clipboard.readText()
+}
+
+const pasteRegister = name => {
+    let text = ""
+    if (["+", "*"].includes(name)) {
+        const {clipboard} = require("electron")
+        text = clipboard.readText()
+    } else if (isValidName(name)) {
+        text = getRegister(name)
+    } else {
+        notify(`Register names must be a letter or number, not: ${name}`,
+            "warn")
+        return
+    }
+    if (!text) {
+        notify(`Register is empty: ${name}`, "warn")
+        return
+    }
+    if (currentMode() === "insert") {
+        currentPage()?.insertText(text)
+    } else if ("sec".includes(currentMode()[0])) {
+        const {insertTextIntoNavbar} = require("./input")
+        insertTextIntoNavbar(text)
+    }
+}
+
+const listRegisters = (...args) => {
+    const names = args.join("").split("")
+    if (names.find(name => !isValidName(name))) {
+        notify("Register names must be a letter or number", "warn")
+        return
+    }
+    const list = Object.keys(registers).sort()
+        .filter(name => registers[name].value)
+        .filter(name => !names.length
+            || names.map(n => n.toLowerCase()).includes(name))
+        .map(name => `"${name} ${registers[name].value.replace(/\n/g, "\\n")}`)
+        .join("\n")
+    if (list) {
+        notify(`--- Registers ---\n${list}`)
+    } else if (names.length) {
+        notify("No registers found for the provided arguments")
+    } else {
+        notify("All registers are empty")
+    }
+}
+
+const macroCommand = (...args) => {
+    if (args.length === 0 || !isValidMacroName(args[0])) {
+        notify("The macro command requires a register letter "
+            + "as the first argument", "warn")
+        return
+    }
+    if (args.length === 1) {
+        if (getRegister(args[0])) {
+            notify(`"${args[0].toLowerCase()} ${getRegister(args[0])}`)
+        } else {
+            notify(`Register is empty: ${args[0]}`)
+        }
+        return
+    }
+    const {sanitiseMapString} = require("./input")
+    setRegister(args[0], sanitiseMapString(args.slice(1).join(" ")))
+}
+
+const registersAsCommandList = () => Object.keys(registers).sort()
+    .filter(name => registers[name].value && registers[name].type === "keys")
+    .filter(name => !numberedRegisters.includes(name))
+    .map(name => `macro ${name} ${registers[name].value}`).join("\n")
+
+module.exports = {
+    clipboardOrSelectedRegister,
+    getRegister,
+    isValidMacroName,
+    isValidName,
+    listRegisters,
+    macroCommand,
+    pasteRegister,
+    registersAsCommandList,
+    selectRegister,
+    setRegister,
+    yank
+}
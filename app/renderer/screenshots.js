@@ -0,0 +1,200 @@
+/*
+* Vieb - Vim Inspired Electron Browser
+* Copyright (C) 2021 Jelmer van Arnhem
+*
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU General Public License as published by
+* the Free Software Foundation, either version 3 of the License, or
+* (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU General Public License for more details.
+*
+* You should have received a copy of the GNU General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+"use strict"
+
+const {nativeImage} = require("electron")
+const {writeFile, formatDate, notify} = require("../util")
+const {currentPage} = require("./common")
+
+const screenshotTypes = ["element", "full", "visible"]
+// Browsers can't draw canvases that are taller than this
+const maxCanvasHeight = 32767
+
+const screenshotName = page => {
+    let hostname = ""
+    try {
+        ({hostname} = new URL(page.src))
+    } catch (_) {
+        // Pages without a valid url are simply named screenshot
+    }
+    const date = formatDate(new Date()).replace(/:/g, "-")
+    return `${hostname} screenshot ${date}.png`.trim()
+}
+
+const saveImage = (image, loc) => {
+    if (image.isEmpty()) {
+        notify("Could not take a screenshot of the page", "err")
+        return
+    }
+    let data = image.toPNG()
+    if ((/\.jpe?g$/i).test(loc)) {
+        data = image.toJPEG(90)
+    }
+    writeFile(loc, data, `Could not write the screenshot to '${loc}'`,
+        `Screenshot saved at '${loc}'`)
+}
+
+const loadImage = src => new Promise((resolve, reject) => {
+    const img = new Image()
+    img.addEventListener("load", () => resolve(img))
+    img.addEventListener("error", reject)
+    img.src = src
+})
+
+const captureVisible = async(page, loc) => {
+    saveImage(await page.capturePage(), loc)
+}
+
+const captureFull = async(page, loc) => {
+    const [scrollX, scrollY, viewHeight, pageHeight] = await page
+        .executeJavaScript(`[window.scrollX, window.scrollY, window.innerHeight,
+            Math.max(document.documentElement.scrollHeight,
+                document.body?.scrollHeight || 0)]`)
+    if (pageHeight <= viewHeight) {
+        await captureVisible(page, loc)
+        return
+    }
+    // Scroll through the page and draw every part of it on a single canvas
+    const canvas = document.createElement("canvas")
+    const context = canvas.getContext("2d")
+    let isCutOff = false
+    for (let top = 0; top < pageHeight; top += viewHeight) {
+        const scrolledTop = await page.executeJavaScript(
+            `window.scrollTo(${scrollX}, ${top});window.scrollY`)
+        await new Promise(r => {
+            setTimeout(r, 150)
+        })
+        const image = await page.capturePage()
+        const scale = image.getSize().height / viewHeight
+        if (!canvas.width) {
+            canvas.width = image.getSize().width
+            canvas.height = Math.min(
+                Math.round(pageHeight * scale), maxCanvasHeight)
+            isCutOff = Math.round(pageHeight * scale) > maxCanvasHeight
+        }
+        const part = await loadImage(image.toDataURL())
+        context.drawImage(part, 0, Math.round(scrolledTop * scale))
+        if (scrolledTop < top || (top + viewHeight) * scale > canvas.height) {
+            break
+        }
+    }
+    await page.executeJavaScript(`window.scrollTo(${scrollX}, ${scrollY})`)
+    if (isCutOff) {
+        notify("The page is too long for a single image, "
+            + `the screenshot is cut off at ${maxCanvasHeight} pixels`, "warn")
+    }
+    saveImage(nativeImage.createFromDataURL(canvas.toDataURL()), loc)
+}
+
+const captureRect = async(page, loc, rect) => {
+    // Elements are only captured for the part that is currently visible
+    const factor = page.getZoomFactor()
+    const left = Math.max(0, Math.round(rect.x * factor))
+    const top = Math.max(0, Math.round(rect.y * factor))
+    const width = Math.min(Math.round((rect.x + rect.width) * factor),
+        page.scrollWidth) - left
+    const height = Math.min(Math.round((rect.y + rect.height) * factor),
+        page.scrollHeight) - top
+    if (width <= 0 || height <= 0) {
+        notify("The element is not visible on the page", "warn")
+        return
+    }
+    saveImage(await page.capturePage(
+        {height, width, "x": left, "y": top}), loc)
+}
+
+const defaultLocation = page => {
+    const {resolveFileLocation} = require("./command")
+    return resolveFileLocation(null, screenshotName(page))
+}
+
+const screenshotElementAt = (x, y) => {
+    const page = currentPage()
+    if (!page?.getAttribute("dom-ready")) {
+        return
+    }
+    page.executeJavaScript(`(() => {
+        const el = document.elementFromPoint(${x}, ${y})
+        const rect = el?.getBoundingClientRect()
+        return rect && {"height": rect.height, "width": rect.width,
+            "x": rect.x, "y": rect.y}
+    })()`).then(rect => {
+        if (rect) {
+            return captureRect(page, defaultLocation(page), rect)
+        }
+        notify("There is no element at the pointer position", "warn")
+        return null
+    }).catch(e => notify(
+        `Could not take a screenshot of the element:\n${e}`, "err"))
+}
+
+const screenshot = (type = "visible", loc = null) => {
+    const page = currentPage()
+    if (!page?.getAttribute("dom-ready")) {
+        return
+    }
+    const file = loc || defaultLocation(page)
+    if (type === "full") {
+        captureFull(page, file).catch(e => notify(
+            `Could not take a screenshot of the page:\n${e}`, "err"))
+        return
+    }
+    if (type !== "element") {
+        captureVisible(page, file).catch(e => notify(
+            `Could not take a screenshot of the page:\n${e}`, "err"))
+        return
+    }
+    const {startFollow} = require("./follow")
+    startFollow(false, link => captureRect(page, file, link).catch(e => notify(
+        `Could not take a screenshot of the element:\n${e}`, "err")))
+}
+
+const screenshotCommand = args => {
+    let [type, location] = args
+    if (!screenshotTypes.includes(type)) {
+        [location] = args
+        type = "visible"
+        if (args.length > 1) {
+            notify("The screenshot command accepts a type, which is one of: "
+                + `${screenshotTypes.join(", ")}, and a file`, "warn")
+            return
+        }
+    } else if (args.length > 2) {
+        notify("The screenshot command accepts at most a type and a file",
+            "warn")
+        return
+    }
+    const page = currentPage()
+    if (!page) {
+        return
+    }
+    let loc = null
+    if (location) {
+        const {resolveFileLocation} = require("./command")
+        loc = resolveFileLocation(location, screenshotName(page))
+        if (!loc) {
+            return
+        }
+        if (!(/\.(png|jpe?g)$/i).test(loc)) {
+            loc += ".png"
+        }
+    }
+    screenshot(type, loc)
+}
+
+module.exports = {screenshot, screenshotCommand, screenshotElementAt}
@@ -0,0 +1,177 @@
+/*
+* Vieb - Vim Inspired Electron Browser
+* Copyright (C) 2021 Jelmer van Arnhem
+*
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU General Public License as published by
+* the Free Software Foundation, either version 3 of the License, or
+* (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU General Public License for more details.
+*
+* You should have received a copy of the GNU General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+"use strict"
+
+const {
+    joinPath,
+    appData,
+    readJSON,
+    writeJSON,
+    deleteFile,
+    urlToString,
+    formatDate,
+    notify
+} = require("../util")
+const {listTabs, currentTab, tabOrPageMatching} = require("./common")
+
+const sessionsFile = joinPath(appData(), "sessions")
+
+const readSessions = () => readJSON(sessionsFile) || {}
+
+const writeSessions = sessions => {
+    if (Object.keys(sessions).length === 0) {
+        deleteFile(sessionsFile)
+        return true
+    }
+    return writeJSON(sessionsFile, sessions,
+        "Failed to write the sessions to disk")
+}
+
+const isValidName = name => !!name?.match(/^[\w-]+$/)
+
+const saveSession = name => {
+    const tabs = listTabs().filter(t => {
+        const url = tabOrPageMatching(t).src
+        return url && !url.startsWith("devtools://")
+    })
+    if (tabs.length === 0) {
+        notify("There are no tabs to store in the session", "warn")
+        return
+    }
+    const {layoutAsJSON, mapLayout} = require("./pagelayout")
+    const linkIds = tabs.map(t => t.getAttribute("link-id"))
+    const sessions = readSessions()
+    sessions[name] = {
+        "current": Math.max(0, tabs.indexOf(currentTab())),
+        "date": new Date().toISOString(),
+        "layout": mapLayout(layoutAsJSON(), id => {
+            const index = linkIds.indexOf(id)
+            if (index === -1) {
+                return null
+            }
+            return index
+        }),
+        "tabs": tabs.map(tab => {
+            const page = tabOrPageMatching(tab)
+            return {
+                "container": page.getAttribute("container"),
+                "muted": !!tab.getAttribute("muted"),
+                "pinned": tab.classList.contains("pinned"),
+                "suspended": !!tab.getAttribute("suspended"),
+                "url": urlToString(page.src)
+            }
+        })
+    }
+    if (writeSessions(sessions)) {
+        notify(`Session saved: ${name}`)
+    }
+}
+
+const loadSession = (name, closeOthers) => {
+    const session = readSessions()[name]
+    if (!Array.isArray(session?.tabs) || session.tabs.length === 0) {
+        notify(`Session does not exist: ${name}`, "warn")
+        return
+    }
+    const {addTab, closeTab, switchToTab} = require("./tabs")
+    const {
+        layoutIds, mapLayout, only, restoreLayout
+    } = require("./pagelayout")
+    const visible = layoutIds(session.layout)
+    const oldTabs = listTabs()
+    const newTabs = session.tabs.map((tab, index) => {
+        const tabsBefore = listTabs()
+        addTab({
+            "container": tab.container,
+            "customIndex": listTabs().length,
+            "lazy": tab.suspended && !visible.includes(index)
+                && index !== session.current,
+            "muted": tab.muted,
+            "pinned": tab.pinned,
+            "switchTo": false,
+            "url": tab.url
+        })
+        return listTabs().find(t => !tabsBefore.includes(t))
+    })
+    if (closeOthers) {
+        switchToTab(newTabs.find(t => t) || currentTab())
+        only()
+        oldTabs.forEach(tab => {
+            if (listTabs().includes(tab)) {
+                closeTab(listTabs().indexOf(tab))
+            }
+        })
+    }
+    restoreLayout(mapLayout(session.layout || {}, index => newTabs[index]
+        ?.getAttribute("link-id")))
+    const current = newTabs[session.current] || newTabs.find(t => t)
+    if (current) {
+        switchToTab(current)
+    }
+}
+
+const deleteSession = name => {
+    const sessions = readSessions()
+    if (!sessions[name]) {
+        notify(`Session does not exist: ${name}`, "warn")
+        return
+    }
+    delete sessions[name]
+    writeSessions(sessions)
+}
+
+const sessionCommand = (closeOthers, args) => {
+    const [action, name] = args
+    if (!["save", "load", "delete"].includes(action) || args.length !== 2) {
+        notify("The session command requires an action and a name, "
+            + "the action must be one of: save, load or delete", "warn")
+        return
+    }
+    if (!isValidName(name)) {
+        notify("Session names can only contain letters, numbers, underscores "
+            + `and dashes, not: ${name}`, "warn")
+        return
+    }
+    if (closeOthers && action !== "load") {
+        notify("The ! can only be combined with loading a session", "warn")
+        return
+    }
+    if (action === "save") {
+        saveSession(name)
+    } else if (action === "load") {
+        loadSession(name, closeOthers)
+    } else {
+        deleteSession(name)
+    }
+}
+
+const listSessionNames = () => Object.keys(readSessions()).sort()
+
+const listSessions = () => {
+    const sessions = readSessions()
+    const list = Object.keys(sessions).sort().map(name => `${name} - ${
+        sessions[name].tabs?.length || 0} tabs - saved ${
+        formatDate(sessions[name].date)}`).join("\n")
+    if (list) {
+        notify(`--- Sessions ---\n${list}`)
+    } else {
+        notify("There are no saved sessions")
+    }
+}
+
+module.exports = {listSessionNames, listSessions, sessionCommand}
@@ -35,7 +35,9 @@ const {
     firefoxUseragent,
     title,
     appName,
-    appConfigSettings
+    appConfigSettings,
+    dirname,
+    isAbsolutePath
 } = require("../util")
 const {
     listTabs,
@@ -63,6 +65,8 @@ const defaultSettings = {
     "containersplitpage": "s:usecurrent",
     "containerstartuppage": "main",
     "countlimit": 100,
+    "darkpages": "off",
+    "darkpagesexceptions": "",
     "devtoolsposition": "window",
     "downloadmethod": "automatic",
     "downloadpath": "~/Downloads/",
@@ -71,6 +75,10 @@ const defaultSettings = {
     "favicons": "session",
     "favoritepages": "",
     "firefoxmode": "never",
+    "followchars": "abcdefghijklmnopqrstuvwxyz",
+    "followexclude": "",
+    "followinclude": "",
+    "followlabelorder": "position",
     "follownewtabswitch": true,
     "fontsize": 14,
     "guifullscreennavbar": "oninput",
@@ -81,6 +89,8 @@ const defaultSettings = {
     "ignorecase": true,
     "incsearch": true,
     "keeprecentlyclosed": true,
+    "mapleader": "<Bslash>",
+    "mapsuggest": true,
     "maxmapdepth": 10,
     "menupage": "elementasneeded",
     "menuvieb": "both",
@@ -92,6 +102,8 @@ const defaultSettings = {
     "notificationduration": 6000,
     "notificationforpermissions": false,
     "notificationposition": "bottomright",
+    "passthrough": "",
+    "passthroughkey": "<S-Esc>",
     "permissioncamera": "block",
     "permissionclipboardread": "block",
     "permissionclosepage": "allow",
@@ -129,7 +141,7 @@ const defaultSettings = {
     "startuppages": "",
     "storenewvisits": "pages",
     "suggestcommands": 9000000000000000,
-    "suggestorder": "history,searchword,file",
+    "suggestorder": "bookmark,history,searchword,file",
     "suggesttopsites": 10,
     "suspendonrestore": "regular",
     "suspendtimeout": 0,
@@ -141,13 +153,25 @@ const defaultSettings = {
     "timeout": true,
     "timeoutlen": 1000,
     "vimcommand": "gvim",
-    "windowtitle": "simple"
+    "windowtitle": "simple",
+    "writefilename": "%host %file"
 }
 let allSettings = {}
-const freeText = ["downloadpath", "externalcommand", "search", "vimcommand"]
+const freeText = [
+    "downloadpath",
+    "externalcommand",
+    "followchars",
+    "search",
+    "vimcommand",
+    "writefilename"
+]
 const listLike = [
     "containercolors",
+    "darkpagesexceptions",
     "favoritepages",
+    "followexclude",
+    "followinclude",
+    "passthrough",
     "permissionsallowed",
     "permissionsasked",
     "permissionsblocked",
@@ -163,12 +187,14 @@ const validOptions = {
     "cache": ["none", "clearonquit", "full"],
     "commandhist": ["all", "useronly", "none"],
     "containershowname": ["automatic", "always", "never"],
+    "darkpages": ["off", "filter", "smart"],
     "devtoolsposition": ["window", "split", "vsplit", "tab"],
     "downloadmethod": ["automatic", "confirm", "ask", "block"],
     "favicons": [
         "disabled", "nocache", "session", "1day", "5day", "30day", "forever"
     ],
     "firefoxmode": ["always", "google", "never"],
+    "followlabelorder": ["position", "distance", "size"],
     "guifullscreennavbar": ["always", "onupdate", "oninput", "never"],
     "guifullscreentabbar": ["always", "onupdate", "never"],
     "guinavbar": ["always", "onupdate", "oninput", "never"],
@@ -224,6 +250,9 @@ const containerSettings = [
     "containernewtab", "containersplitpage", "containerstartuppage"
 ]
 let spelllangs = []
+const sourceStack = []
+// Files included with the source command, mapped to the file including them
+let includedFiles = {}
 
 const init = () => {
     loadFromDisk()
@@ -358,6 +387,68 @@ const checkOther = (setting, value) => {
             return false
         }
     }
+    if (["followexclude", "followinclude"].includes(setting)) {
+        for (const entry of value.split(",")) {
+            if (!entry.trim()) {
+                continue
+            }
+            if (!entry.includes("~")) {
+                notify(`Invalid ${setting} entry: ${entry}\n`
+                    + "Entries must have a ~ to separate the url regular "
+                    + "expression from the css selector", "warn")
+                return false
+            }
+            const [match, ...selector] = entry.split("~")
+            try {
+                RegExp(match)
+            } catch (e) {
+                notify(`Invalid regular expression in ${setting}: ${match}`,
+                    "warn")
+                return false
+            }
+            try {
+                document.querySelector(selector.join("~"))
+            } catch (e) {
+                notify(`Invalid css selector in ${setting}: ${
+                    selector.join("~")}`, "warn")
+                return false
+            }
+        }
+    }
+    if (["darkpagesexceptions", "passthrough"].includes(setting)) {
+        for (const match of value.split(",")) {
+            if (!match.trim()) {
+                continue
+            }
+            try {
+                RegExp(match)
+            } catch (e) {
+                notify(
+                    `Invalid regular expression in ${setting}: ${match}`,
+                    "warn")
+                return false
+            }
+        }
+    }
+    if (setting === "followchars") {
+        const chars = value.toLowerCase()
+        if (chars.length < 2 || new Set(chars).size !== chars.length
+            || (/\s/).test(chars)) {
+            notify("The followchars must be at least two unique characters "
+                + "without any whitespace, ignoring the case of letters",
+            "warn")
+            return false
+        }
+    }
+    if (["mapleader", "passthroughkey"].includes(setting)) {
+        const {sanitiseMapString} = require("./input")
+        const key = sanitiseMapString(value)
+        if (!key || key !== value || !key.match(/^(<[^>]+>|.)$/)) {
+            notify(`The ${setting} must be a single key in the same `
+                + `format as used by mappings, not: ${value}`, "warn")
+            return false
+        }
+    }
     const permissionSettings = [
         "permissionsallowed", "permissionsasked", "permissionsblocked"
     ]
@@ -486,6 +577,13 @@ const checkOther = (setting, value) => {
     if (setting === "suggestorder") {
         return checkSuggestOrder(value)
     }
+    if (setting === "writefilename") {
+        if (!value.trim() || value.includes("/")) {
+            notify("The writefilename must be a non-empty filename "
+                + "without any folders in it", "warn")
+            return false
+        }
+    }
     return true
 }
 
@@ -503,10 +601,10 @@ const checkSuggestOrder = value => {
         }
         const args = suggest.split("~")
         const type = args.shift()
-        if (!["history", "file", "searchword"].includes(type)) {
+        if (!["bookmark", "history", "file", "searchword"].includes(type)) {
             notify(`Invalid suggestorder type: ${type}\n`
-                    + "Suggestion type must be one of: history, file or "
-                    + "searchword", "warn")
+                    + "Suggestion type must be one of: bookmark, history, "
+                    + "file or searchword", "warn")
             return false
         }
         let hasHadCount = false
@@ -528,6 +626,9 @@ const checkSuggestOrder = value => {
                 continue
             }
             const validOrders = []
+            if (type === "bookmark") {
+                validOrders.push("alpha", "date")
+            }
             if (type === "history") {
                 validOrders.push("alpha", "relevance", "date")
             }
@@ -638,13 +739,20 @@ const updateWebviewSettings = () => {
         appData(), "webviewsettings")
     writeJSON(webviewSettingsFile, {
         "bg": getComputedStyle(document.body).getPropertyValue("--bg"),
+        "darkpages": allSettings.darkpages,
+        "darkpagesexceptions": allSettings.darkpagesexceptions,
         "fg": getComputedStyle(document.body).getPropertyValue("--fg"),
+        "followexclude": allSettings.followexclude,
+        "followinclude": allSettings.followinclude,
         "permissiondisplaycapture": allSettings.permissiondisplaycapture,
         "permissionmediadevices": allSettings.permissionmediadevices,
         "permissionsallowed": allSettings.permissionsallowed,
         "permissionsasked": allSettings.permissionsasked,
         "permissionsblocked": allSettings.permissionsblocked
     })
+    listPages().filter(p => p.getAttribute("dom-ready")).forEach(p => {
+        p.send("webview-settings-updated")
+    })
 }
 
 const updatePermissionSettings = () => {
@@ -716,19 +824,7 @@ const suggestionList = () => {
     return listOfSuggestions
 }
 
-const loadFromDisk = () => {
-    const {pause, resume} = require("./commandhistory")
-    pause()
-    allSettings = JSON.parse(JSON.stringify(defaultSettings))
-    sessionStorage.setItem("settings", JSON.stringify(allSettings))
-    if (isFile(joinPath(appData(), "erwicmode"))) {
-        set("containernewtab", "s:external")
-        set("containerstartuppage", "s:usematching")
-        set("permissioncamera", "allow")
-        set("permissionnotifications", "allow")
-        set("permissionmediadevices", "allowfull")
-        set("permissionmicrophone", "allow")
-    }
+const configFiles = () => {
     const userFirstConfig = expandPath("~/.vieb/viebrc")
     const userGlobalConfig = expandPath("~/.viebrc")
     let files = [appConfigSettings().override]
@@ -746,24 +842,77 @@ const loadFromDisk = () => {
             files = [config, userFirstConfig, userGlobalConfig]
         }
     }
-    for (const conf of files) {
+    return files
+}
+
+const loadFromDisk = () => {
+    const {pause, resume} = require("./commandhistory")
+    pause()
+    allSettings = JSON.parse(JSON.stringify(defaultSettings))
+    includedFiles = {}
+    sessionStorage.setItem("settings", JSON.stringify(allSettings))
+    if (isFile(joinPath(appData(), "erwicmode"))) {
+        set("containernewtab", "s:external")
+        set("containerstartuppage", "s:usematching")
+        set("permissioncamera", "allow")
+        set("permissionnotifications", "allow")
+        set("permissionmediadevices", "allowfull")
+        set("permissionmicrophone", "allow")
+    }
+    for (const conf of configFiles()) {
         if (isFile(conf)) {
-            const parsed = readFile(conf)
-            if (!parsed) {
-                notify(`Read error for config file located at '${conf}'`, "err")
-                continue
-            }
-            for (const line of parsed.split("\n")) {
-                if (line && !line.trim().startsWith("\"")) {
-                    const {execute} = require("./command")
-                    execute(line)
-                }
-            }
+            sourceFile(conf)
         }
     }
     resume()
 }
 
+const sourceFile = location => {
+    const source = sourceStack[sourceStack.length - 1]
+    let file = expandPath(location)
+    if (!isAbsolutePath(file)) {
+        // Relative paths are based on the location of the including file
+        file = joinPath(dirname(source?.file || config), file)
+    }
+    if (sourceStack.find(s => s.file === file)) {
+        notify(`Recursive source of config file '${file}' was skipped, `
+            + "it is already being sourced", "err")
+        return
+    }
+    if (!isFile(file)) {
+        notify(`Config file to source could not be found: '${file}'`, "err")
+        return
+    }
+    const parsed = readFile(file)
+    if (parsed === null) {
+        notify(`Read error for config file located at '${file}'`, "err")
+        return
+    }
+    if (!configFiles().includes(file)) {
+        includedFiles[file] = source?.file || null
+    }
+    const {clearAutocmdsOfFile} = require("./autocmd")
+    clearAutocmdsOfFile(file)
+    const {execute} = require("./command")
+    const current = {file, "line": 0}
+    sourceStack.push(current)
+    for (const line of parsed.split("\n")) {
+        current.line += 1
+        if (line && !line.trim().startsWith("\"")) {
+            execute(line, current)
+        }
+    }
+    sourceStack.pop()
+}
+
+const sourcingFile = () => sourceStack[sourceStack.length - 1]?.file || null
+
+const isIncludedFile = file => Object.keys(includedFiles).includes(file)
+
+const includedFilesAsCommandList = () => Object.keys(includedFiles)
+    .filter(file => !isIncludedFile(includedFiles[file]))
+    .map(file => `source ${escapeValueChars(file)}`).join("\n")
+
 const reset = setting => {
     if (setting === "all") {
         Object.keys(defaultSettings).forEach(s => set(s, defaultSettings[s]))
@@ -869,6 +1018,10 @@ const set = (setting, value) => {
             applyLayout()
         }
         const webviewSettings = [
+            "darkpages",
+            "darkpagesexceptions",
+            "followexclude",
+            "followinclude",
             "permissiondisplaycapture",
             "permissionmediadevices",
             "permissionsallowed",
@@ -942,6 +1095,9 @@ const settingsWithDefaults = () => Object.keys(allSettings).map(setting => {
     if (setting === "externalcommand") {
         allowedValues = "any system command"
     }
+    if (setting === "followchars") {
+        allowedValues = "at least two unique characters"
+    }
     if (setting === "search") {
         allowedValues = "any URL"
     }
@@ -952,6 +1108,9 @@ const settingsWithDefaults = () => Object.keys(allSettings).map(setting => {
     if (setting === "vimcommand") {
         allowedValues = "any system command"
     }
+    if (setting === "writefilename") {
+        allowedValues = "any filename, see description"
+    }
     if (typeof allSettings[setting] === "number") {
         typeLabel = "Number"
         if (numberRanges[setting]) {
@@ -972,7 +1131,7 @@ const escapeValueChars = value => {
     if (value?.match?.(/(')/g)?.length) {
         return `"${value}"`
     }
-    if (value?.match?.(/("| )/g)?.length) {
+    if (value?.match?.(/("| |\|)/g)?.length) {
         return `'${value}'`
     }
     return value
@@ -1018,15 +1177,26 @@ const saveToDisk = full => {
     let settingsAsCommands = ""
     const options = listCurrentSettings(full).split("\n").filter(s => s)
         .map(s => `set ${s}`).join("\n").trim()
+    const sources = includedFilesAsCommandList()
     const {listMappingsAsCommandList} = require("./input")
-    const mappings = listMappingsAsCommandList().trim()
+    const mappings = listMappingsAsCommandList(false, false, true).trim()
     const {customCommandsAsCommandList} = require("./command")
     const commands = customCommandsAsCommandList(full).trim()
-    if (!options && !mappings && !commands) {
-        notify("There are no options set, no mappings changed and no "
-            + "custom commands that have been added, no viebrc written")
+    const {registersAsCommandList} = require("./registers")
+    const registers = registersAsCommandList().trim()
+    const {autocmdsAsCommandList} = require("./autocmd")
+    const autocmds = autocmdsAsCommandList().trim()
+    if (!sources && !options && !mappings && !commands && !registers
+        && !autocmds) {
+        notify("There are no options set, no mappings changed, no custom "
+            + "commands, no registers, no autocommands and no sourced files "
+            + "that have been added, no viebrc written")
         return
     }
+    if (sources) {
+        // The mappings and autocmds of sourced files are left out below
+        settingsAsCommands += `" Sourced files\n${sources}\n\n`
+    }
     if (options) {
         settingsAsCommands += `" Options\n${options}\n\n`
     }
@@ -1036,6 +1206,12 @@ const saveToDisk = full => {
     if (commands) {
         settingsAsCommands += `" Commands\n${commands}\n\n`
     }
+    if (registers) {
+        settingsAsCommands += `" Registers\n${registers}\n\n`
+    }
+    if (autocmds) {
+        settingsAsCommands += `" Autocommands\n${autocmds}\n\n`
+    }
     settingsAsCommands += "\" Viebrc generated by Vieb\n\" vim: ft=vim\n"
     const destFile = appConfigSettings().override || config
     writeFile(destFile, settingsAsCommands,
@@ -1069,6 +1245,7 @@ module.exports = {
     freeText,
     getCustomStyling,
     init,
+    isIncludedFile,
     listCurrentSettings,
     listLike,
     loadFromDisk,
@@ -1077,6 +1254,8 @@ module.exports = {
     set,
     setCustomStyling,
     settingsWithDefaults,
+    sourceFile,
+    sourcingFile,
     suggestionList,
     updateContainerSettings,
     updateCustomStyling,
@@ -25,6 +25,7 @@ const {
     joinPath,
     readFile,
     expandPath,
+    downloadPath,
     basePath,
     dirname,
     pathExists,
@@ -180,6 +181,7 @@ const suggestExplore = search => {
         return
     }
     const {suggestHist} = require("./history")
+    const {suggestBookmarks} = require("./bookmarks")
     getSetting("suggestorder").split(",").filter(s => s).forEach(suggest => {
         const args = suggest.split("~")
         const type = args.shift()
@@ -193,6 +195,12 @@ const suggestExplore = search => {
                 order = arg
             }
         })
+        if (type === "bookmark") {
+            if (!order) {
+                order = "alpha"
+            }
+            suggestBookmarks(search, order, count)
+        }
         if (type === "history") {
             if (!order) {
                 order = "relevance"
@@ -315,17 +323,165 @@ const suggestCommand = searchStr => {
         }
     }
     // Command: write
-    if ("write".startsWith(command) && !confirm && args.length < 2) {
-        let location = expandPath(command.replace(/w[a-z]* ?/, "") || "")
+    if ("write".startsWith(command) && !confirm && args.length < 3) {
+        const formats = [
+            "--complete", "--html-only", "--markdown", "--mhtml", "--text"
+        ]
+        let name = "write"
+        let [location] = args
+        if (formats.includes(args[0])) {
+            name += ` ${args[0]}`
+            ;[, location] = args
+        } else if (args.length < 2) {
+            formats.filter(f => f.startsWith(args[0] || "") && f !== args[0])
+                .forEach(f => addCommand(`write ${f}`))
+        }
+        location = expandPath(location || "")
         if (!location) {
-            addCommand("write ~")
-            addCommand("write /")
-            addCommand(`write ${getSetting("downloadpath")}`)
+            addCommand(`${name} ~`)
+            addCommand(`${name} /`)
+            addCommand(`${name} ${getSetting("downloadpath")}`)
         }
         if (!isAbsolutePath(location)) {
             location = joinPath(getSetting("downloadpath"), location)
         }
-        suggestFiles(location).forEach(l => addCommand(`write ${l.path}`))
+        suggestFiles(location).forEach(l => addCommand(`${name} ${l.path}`))
+    }
+    // Command: source
+    if ("source".startsWith(command) && !confirm && args.length < 2) {
+        let location = expandPath(args[0] || "")
+        if (!location) {
+            addCommand("source ~")
+            addCommand("source /")
+        }
+        if (!isAbsolutePath(location)) {
+            location = joinPath(appData(), location)
+        }
+        suggestFiles(location).forEach(l => addCommand(`source ${l.path}`))
+    }
+    // Command: open, tabopen and window
+    const {matchingHistory} = require("./history")
+    const {fullCommandName} = require("./command")
+    for (const name of ["open", "tabopen", "window"]) {
+        if (name !== fullCommandName(command) || confirm) {
+            continue
+        }
+        const flags = []
+        while (args.length > flags.length
+            && args[flags.length].startsWith("--")) {
+            flags.push(args[flags.length])
+        }
+        const location = args.slice(flags.length).join(" ")
+        if (location) {
+            matchingHistory(location, "relevance",
+                getSetting("suggestcommands")).forEach(h => addCommand(
+                [name, ...flags, h.url].join(" "), h.title))
+        }
+    }
+    // Command: bmarkimport and bmarkexport
+    for (const name of ["bmarkimport", "bmarkexport"]) {
+        if (!name.startsWith(command) || args.length > 1) {
+            continue
+        }
+        if (confirm && name === "bmarkimport") {
+            continue
+        }
+        let location = expandPath(args[0] || "")
+        let full = name
+        if (confirm) {
+            full += "!"
+        }
+        if (!location) {
+            addCommand(`${full} ~`)
+            addCommand(`${full} /`)
+            addCommand(`${full} ${downloadPath()}`)
+        }
+        if (!isAbsolutePath(location)) {
+            location = joinPath(downloadPath(), location)
+        }
+        suggestFiles(location).forEach(l => addCommand(`${full} ${l.path}`))
+    }
+    // Command: screenshot
+    if ("screenshot".startsWith(command) && command.length > 1 && !confirm
+        && args.length < 2) {
+        for (const type of ["element", "full", "visible"]) {
+            if (type.startsWith(args[0] || "") && type !== args[0]) {
+                addCommand(`screenshot ${type}`)
+            }
+        }
+    }
+    // Command: follow
+    if ("follow".startsWith(command) && !confirm && args.length < 2) {
+        const {hintActions} = require("./follow")
+        hintActions.filter(a => a.startsWith(args[0] || "") && a !== args[0])
+            .forEach(a => addCommand(`follow ${a}`))
+    }
+    // Command: pdf
+    if ("pdf".startsWith(command) && command.length > 1 && !confirm) {
+        const typed = args.slice(0, -1)
+        const last = args.slice(-1)[0] || ""
+        const flags = [
+            "--background",
+            "--headerfooter",
+            "--landscape",
+            "--margins=default",
+            "--margins=minimum",
+            "--margins=none",
+            ...["A3", "A4", "A5", "Legal", "Letter", "Tabloid"]
+                .map(s => `--pagesize=${s}`)
+        ]
+        if (typed.every(a => a.startsWith("--"))) {
+            flags.filter(f => f.startsWith(last) && f !== last)
+                .filter(f => !typed.find(a => a.split("=")[0]
+                    === f.split("=")[0]))
+                .forEach(f => addCommand(`pdf ${[...typed, f].join(" ")}`))
+        }
+    }
+    // Command: session
+    if ("session".startsWith(command) && command.length > 2
+        && args.length < 3) {
+        let name = command
+        if (confirm) {
+            name += "!"
+        }
+        if (args.length < 2) {
+            for (const action of ["delete", "load", "save"]) {
+                if (action.startsWith(args[0] || "") && action !== args[0]) {
+                    addCommand(`${name} ${action}`)
+                }
+            }
+        }
+        if (["delete", "load", "save"].includes(args[0])) {
+            const {listSessionNames} = require("./sessions")
+            listSessionNames().filter(n => n.startsWith(args[1] || ""))
+                .forEach(n => addCommand(`${name} ${args[0]} ${n}`))
+        }
+    }
+    // Command: userscripts
+    if ("userscripts".startsWith(command) && !confirm) {
+        if (args.length < 2) {
+            for (const action of ["disable", "enable"]) {
+                if (action.startsWith(args[0] || "") && action !== args[0]) {
+                    addCommand(`userscripts ${action}`)
+                }
+            }
+        }
+        if (["disable", "enable"].includes(args[0])) {
+            const {listUserscriptFiles} = require("./userscripts")
+            const typed = args.slice(1, -1)
+            listUserscriptFiles().filter(f => !typed.includes(f))
+                .filter(f => f.startsWith(args.slice(1).pop() || ""))
+                .forEach(f => addCommand(
+                    `userscripts ${[args[0], ...typed, f].join(" ")}`))
+        }
+    }
+    // Command: userstyle
+    if ("userstyle".startsWith(command) && command.length > 5 && !confirm) {
+        const {listUserstyleFiles} = require("./userstyles")
+        const typed = args.slice(0, -1)
+        listUserstyleFiles().filter(f => !typed.includes(f))
+            .filter(f => f.startsWith(args.slice(-1)[0] || ""))
+            .forEach(f => addCommand(`userstyle ${[...typed, f].join(" ")}`))
     }
     // Command: mkviebrc
     if ("mkviebrc full".startsWith(search)) {
@@ -368,6 +524,17 @@ const suggestCommand = searchStr => {
             }
         })
     }
+    // Command: autocmd
+    if ("autocmd".startsWith(command) && args.length < 2) {
+        const {events} = require("./autocmd")
+        let name = "autocmd"
+        if (confirm) {
+            name += "!"
+        }
+        events.filter(e => e.toLowerCase().startsWith(
+            (args[0] || "").toLowerCase()) && e !== args[0])
+            .forEach(e => addCommand(`${name} ${e}`))
+    }
     // Command: colorscheme
     if ("colorscheme".startsWith(command)) {
         if (args.length > 1 || confirm) {
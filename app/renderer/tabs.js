@@ -58,6 +58,8 @@ let linkId = 0
 const timeouts = {}
 const tabFile = joinPath(appData(), "tabs")
 const erwicMode = isFile(joinPath(appData(), "erwicmode"))
+// Older history entries are dropped to keep the tabs file small
+const maxNavigationEntries = 50
 const configPreloads = {}
 
 const init = () => {
@@ -77,21 +79,32 @@ const init = () => {
         if (!erwicMode) {
             if (parsed) {
                 const s = getSetting("suspendonrestore")
-                if (Array.isArray(parsed.pinned)) {
-                    parsed.pinned.forEach(t => addTab({
-                        ...t,
-                        "lazy": s === "all",
-                        "pinned": true,
+                const {
+                    layoutIds, mapLayout, restoreLayout
+                } = require("./pagelayout")
+                // Tabs that are visible in a split are never suspended
+                const visible = layoutIds(parsed.layout)
+                const restored = []
+                const restoreTab = options => {
+                    const tabsBefore = listTabs()
+                    addTab({
+                        ...options,
+                        "lazy": options.lazy
+                            && !visible.includes(restored.length),
                         "switchTo": false
+                    })
+                    restored.push(listTabs().find(t => !tabsBefore.includes(t)))
+                }
+                if (Array.isArray(parsed.pinned)) {
+                    parsed.pinned.forEach(t => restoreTab({
+                        ...t, "lazy": s === "all", "pinned": true
                     }))
                 }
                 const keepRecentlyClosed = getSetting("keeprecentlyclosed")
                 if (getSetting("restoretabs")) {
                     if (Array.isArray(parsed.tabs)) {
-                        parsed.tabs.forEach(t => addTab({
-                            ...t,
-                            "lazy": s === "all" || s === "regular",
-                            "switchTo": false
+                        parsed.tabs.forEach(t => restoreTab({
+                            ...t, "lazy": s === "all" || s === "regular"
                         }))
                     }
                     if (Array.isArray(parsed.closed) && keepRecentlyClosed) {
@@ -107,6 +120,12 @@ const init = () => {
                 }
                 if (listTabs().length !== 0) {
                     switchToTab(parsed.id || 0)
+                    const layout = mapLayout(parsed.layout || {},
+                        index => restored[index]?.getAttribute("link-id"))
+                    const ids = layoutIds(layout)
+                    if (ids.includes(currentPage().getAttribute("link-id"))) {
+                        restoreLayout(layout)
+                    }
                 }
             }
             const startup = getSetting("startuppages")
@@ -162,6 +181,8 @@ const init = () => {
             getSetting("restorewindowposition"),
             getSetting("restorewindowsize"),
             getSetting("restorewindowmaximize"))
+        const {fireEvent} = require("./autocmd")
+        fireEvent("VimEnter")
     })
 }
 
@@ -176,7 +197,10 @@ const openStartupPage = (url, container = null) => {
 }
 
 const saveTabs = () => {
-    const data = {"closed": [], "id": 0, "pinned": [], "tabs": []}
+    const data = {
+        "closed": [], "id": 0, "layout": null, "pinned": [], "tabs": []
+    }
+    const savedIds = {"pinned": [], "tabs": []}
     // The list of tabs is ordered, the list of pages isn't
     // Pinned tabs are always saved to the file
     if (getSetting("keeprecentlyclosed")) {
@@ -195,14 +219,19 @@ const saveTabs = () => {
         }
         const container = urlToString(tabOrPageMatching(tab)
             .getAttribute("container"))
+        const saved = {container, "muted": !!tab.getAttribute("muted"), url}
+        const {navigation} = tabOrPageMatching(tab)
+        if (navigation?.entries.length > 1) {
+            saved.navigation = {
+                "entries": navigation.entries, "index": navigation.index
+            }
+        }
         if (tab.classList.contains("pinned")) {
-            data.pinned.push({
-                container, "muted": !!tab.getAttribute("muted"), url
-            })
+            data.pinned.push(saved)
+            savedIds.pinned.push(tab.getAttribute("link-id"))
         } else if (getSetting("restoretabs")) {
-            data.tabs.push({
-                container, "muted": !!tab.getAttribute("muted"), url
-            })
+            data.tabs.push(saved)
+            savedIds.tabs.push(tab.getAttribute("link-id"))
         } else if (getSetting("keeprecentlyclosed")) {
             data.closed.push({container, url})
         }
@@ -210,12 +239,22 @@ const saveTabs = () => {
     // Only keep the 100 most recently closed tabs,
     // more is probably never needed but would keep increasing the file size.
     data.closed = data.closed.slice(-100)
+    // The splits refer to tabs by their position in the list of saved tabs
+    const ids = [...savedIds.pinned, ...savedIds.tabs]
+    const {layoutAsJSON, mapLayout} = require("./pagelayout")
+    data.layout = mapLayout(layoutAsJSON(), id => {
+        const index = ids.indexOf(id)
+        if (index === -1) {
+            return null
+        }
+        return index
+    })
     writeJSON(tabFile, data, "Failed to write current tabs to disk")
 }
 
 const addTab = (options = {}) => {
     // Options: url, customIndex, switchTo, pinned, container,
-    // lazy, muted and callback
+    // lazy, muted, navigation and callback
     if (options.switchTo === undefined) {
         options.switchTo = true
     }
@@ -335,6 +374,7 @@ const addTab = (options = {}) => {
         page.src = stringToUrl(options.url)
     }
     page.callback = options.callback
+    page.navigation = options.navigation
     page.setAttribute("container", sessionName)
     if (isDevtoolsTab) {
         page.setAttribute("devtools-for-id", currentPageId)
@@ -379,6 +419,7 @@ const suspendTab = tab => {
         }
     })
     placeholder.src = page.src
+    placeholder.navigation = page.navigation
     page.replaceWith(placeholder)
     const closedDevtoolsId = tab.getAttribute("devtools-id")
     listTabs().forEach(t => {
@@ -412,11 +453,15 @@ const unsuspendPage = page => {
         webview.src = specialPagePath("newtab")
     }
     const url = page.src
-    const {callback} = page
+    const {callback, navigation} = page
     webview.addEventListener("dom-ready", () => {
         if (!webview.getAttribute("dom-ready")) {
             const tab = tabOrPageMatching(webview)
             const name = tab.querySelector("span")
+            const restoreHistory = isValidNavigation(navigation)
+            if (!restoreHistory) {
+                webview.navigation = {"entries": [], "index": -1}
+            }
             if (tab.getAttribute("muted")) {
                 webview.setAudioMuted(true)
             }
@@ -428,6 +473,16 @@ const unsuspendPage = page => {
                 ipcRenderer.send("add-devtools",
                     currentPageId, webview.getWebContentsId())
                 name.textContent = "Devtools"
+            } else if (restoreHistory) {
+                // Only the current entry is loaded, the others on demand
+                webview.navigation = {
+                    "entries": [...navigation.entries],
+                    "index": navigation.index
+                }
+                webview.src = navigation.entries[navigation.index]
+                resetTabInfo(webview)
+                name.textContent = navigation.entries[navigation.index]
+                webview.clearHistory()
             } else if (url) {
                 webview.src = url
                 resetTabInfo(webview)
@@ -443,6 +498,60 @@ const unsuspendPage = page => {
     page.replaceWith(webview)
 }
 
+const isValidNavigation = navigation => Array.isArray(navigation?.entries)
+    && navigation.entries.length > 1
+    && navigation.entries.every(e => typeof e === "string")
+    && navigation.index >= 0 && navigation.index < navigation.entries.length
+
+const trackNavigation = (webview, url) => {
+    const {navigation} = webview
+    if (!navigation) {
+        return
+    }
+    if (typeof navigation.pending === "number") {
+        // The page only has this entry in its own history after a lazy load,
+        // the other entries are loaded when moving to them again
+        navigation.index = navigation.pending
+        navigation.entries[navigation.index] = url
+        delete navigation.pending
+        webview.clearHistory()
+        return
+    }
+    if (url === navigation.entries[navigation.index]) {
+        return
+    }
+    const {entries, index} = navigation
+    if (url === entries[index - 1] && webview.canGoForward()) {
+        navigation.index -= 1
+    } else if (url === entries[index + 1] && webview.canGoBack()) {
+        navigation.index += 1
+    } else {
+        navigation.entries = [...entries.slice(0, index + 1), url]
+            .slice(-maxNavigationEntries)
+        navigation.index = navigation.entries.length - 1
+    }
+}
+
+const moveInHistory = (webview, offset) => {
+    if (offset < 0 && webview.canGoBack()) {
+        webview.goBack()
+        return true
+    }
+    if (offset > 0 && webview.canGoForward()) {
+        webview.goForward()
+        return true
+    }
+    // Restored entries are not in the history of the page until visited
+    const {navigation} = webview
+    const target = (navigation?.index ?? -1) + offset
+    if (!navigation || target < 0 || target >= navigation.entries.length) {
+        return false
+    }
+    navigation.pending = target
+    webview.src = navigation.entries[target]
+    return true
+}
+
 const reopenTab = () => {
     if (recentlyClosed.length === 0 || listTabs().length === 0) {
         return
@@ -554,6 +663,11 @@ const switchToTab = tabOrIndex => {
         tab = tabs[index]
     }
     const oldPage = currentPage()
+    const {fireEvent} = require("./autocmd")
+    const isSwitching = oldPage && oldPage !== tabOrPageMatching(tab)
+    if (isSwitching) {
+        fireEvent("TabLeave")
+    }
     tabs.forEach(t => {
         t.id = ""
     })
@@ -576,6 +690,9 @@ const switchToTab = tabOrIndex => {
     const {updateContainerSettings} = require("./settings")
     updateContainerSettings(false)
     setLastUsedTab(oldPage?.getAttribute("link-id"))
+    if (isSwitching) {
+        fireEvent("TabEnter")
+    }
 }
 
 const updateUrl = (webview, force = false) => {
@@ -621,6 +738,28 @@ const addWebviewListeners = webview => {
             }
         }
     })
+    webview.addEventListener("did-navigate", e => {
+        trackNavigation(webview, e.url)
+    })
+    webview.addEventListener("did-navigate-in-page", e => {
+        if (e.isMainFrame) {
+            trackNavigation(webview, e.url)
+        }
+    })
+    webview.addEventListener("dom-ready", () => {
+        const {applyUserstyles} = require("./userstyles")
+        applyUserstyles(webview)
+        if (webview === currentPage()) {
+            const {fireEvent} = require("./autocmd")
+            fireEvent("DomReady")
+        }
+    })
+    webview.addEventListener("did-finish-load", () => {
+        if (webview === currentPage()) {
+            const {fireEvent} = require("./autocmd")
+            fireEvent("PageLoad")
+        }
+    })
     webview.addEventListener("crashed", () => {
         tabOrPageMatching(webview).classList.add("crashed")
     })
@@ -817,6 +956,11 @@ const addWebviewListeners = webview => {
                 webviewMenu(e.args[0])
             }
         }
+        if (e.channel === "yank-copied") {
+            const {clipboard} = require("electron")
+            const {yank} = require("./registers")
+            yank(clipboard.readText(), false)
+        }
         if (e.channel === "mouse-click-info") {
             const {clear} = require("./contextmenu")
             clear()
@@ -841,11 +985,21 @@ const addWebviewListeners = webview => {
             const {parseAndDisplayLinks} = require("./follow")
             parseAndDisplayLinks(e.args[0])
         }
+        if (e.channel === "follow-frame-response"
+            && currentMode() === "follow" && webview === currentPage()) {
+            // The page itself checks that it requested the links of the frame
+            const [id, links, frames] = e.args
+            webview.send("follow-frame-response", String(id), links, frames)
+        }
         if (e.channel === "scroll-height-diff") {
             const {clear} = require("./contextmenu")
             clear()
             handleScrollDiffEvent(e.args[0])
         }
+        if (e.channel === "bookmarks-list-request") {
+            const {handleRequest} = require("./bookmarks")
+            handleRequest(webview, ...e.args)
+        }
         if (e.channel === "history-list-request") {
             const {handleRequest} = require("./history")
             handleRequest(webview, ...e.args)
@@ -973,6 +1127,7 @@ module.exports = {
     addTab,
     closeTab,
     init,
+    moveInHistory,
     moveTabBackward,
     moveTabForward,
     navigateTo,
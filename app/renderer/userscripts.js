@@ -0,0 +1,92 @@
+/*
+* Vieb - Vim Inspired Electron Browser
+* Copyright (C) 2021 Jelmer van Arnhem
+*
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU General Public License as published by
+* the Free Software Foundation, either version 3 of the License, or
+* (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU General Public License for more details.
+*
+* You should have received a copy of the GNU General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+"use strict"
+
+const {
+    joinPath,
+    appData,
+    listDir,
+    readFile,
+    readJSON,
+    writeJSON,
+    deleteFile,
+    userscriptMetadata,
+    notify
+} = require("../util")
+
+const userscriptFolder = joinPath(appData(), "userscript")
+const disabledFile = joinPath(appData(), "disableduserscripts")
+
+const listUserscriptFiles = () => (listDir(userscriptFolder) || [])
+    .filter(f => f.endsWith(".js")).sort()
+
+const listUserscripts = () => {
+    const disabled = readJSON(disabledFile) || []
+    const list = listUserscriptFiles().map(file => {
+        const code = readFile(joinPath(userscriptFolder, file)) || ""
+        const {name, match, include} = userscriptMetadata(code)
+        let state = "enabled"
+        if (disabled.includes(file)) {
+            state = "disabled"
+        }
+        let patterns = [...match, ...include].join(" ")
+        if (!patterns) {
+            patterns = "all pages"
+        }
+        return `${file} - ${name || file} - ${state} - ${patterns}`
+    }).join("\n")
+    if (list) {
+        notify(`--- Userscripts ---\n${list}`)
+    } else {
+        notify(`There are no userscripts in '${userscriptFolder}'`)
+    }
+}
+
+const userscriptsCommand = args => {
+    if (args.length === 0) {
+        listUserscripts()
+        return
+    }
+    const [action, ...files] = args
+    if (!["enable", "disable"].includes(action) || files.length === 0) {
+        notify("The userscripts command can either list the userscripts, "
+            + "or enable or disable one or more of them by filename", "warn")
+        return
+    }
+    const existing = listUserscriptFiles()
+    const unknown = files.find(f => !existing.includes(f))
+    if (unknown) {
+        notify(`Userscript does not exist: ${unknown}`, "warn")
+        return
+    }
+    let disabled = (readJSON(disabledFile) || [])
+        .filter(f => !files.includes(f))
+    if (action === "disable") {
+        disabled = disabled.concat(files)
+    }
+    if (disabled.length) {
+        writeJSON(disabledFile, disabled,
+            "Failed to store the list of disabled userscripts")
+    } else {
+        deleteFile(disabledFile)
+    }
+    notify(`Userscripts ${action}d: ${files.join(", ")}\n`
+        + "The change will be applied after reloading the page")
+}
+
+module.exports = {listUserscriptFiles, userscriptsCommand}
@@ -0,0 +1,114 @@
+/*
+* Vieb - Vim Inspired Electron Browser
+* Copyright (C) 2021 Jelmer van Arnhem
+*
+* This program is free software: you can redistribute it and/or modify
+* it under the terms of the GNU General Public License as published by
+* the Free Software Foundation, either version 3 of the License, or
+* (at your option) any later version.
+*
+* This program is distributed in the hope that it will be useful,
+* but WITHOUT ANY WARRANTY; without even the implied warranty of
+* MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+* GNU General Public License for more details.
+*
+* You should have received a copy of the GNU General Public License
+* along with this program.  If not, see <https://www.gnu.org/licenses/>.
+*/
+"use strict"
+
+const {
+    joinPath,
+    appData,
+    listDir,
+    readFile,
+    watchFile,
+    pathToSpecialPageName,
+    userstyleForUrl,
+    notify
+} = require("../util")
+const {listPages} = require("./common")
+
+const userstyleFolder = joinPath(appData(), "userstyle")
+const watchedFiles = []
+const disabledFiles = []
+let userstyles = []
+let enabled = true
+
+const init = () => {
+    watchFile(userstyleFolder, {"interval": 1000}, reloadUserstyles)
+    loadUserstyles()
+}
+
+const loadUserstyles = () => {
+    userstyles = (listDir(userstyleFolder) || []).filter(
+        f => f.endsWith(".css")).sort().map(file => {
+        const location = joinPath(userstyleFolder, file)
+        if (!watchedFiles.includes(location)) {
+            watchedFiles.push(location)
+            watchFile(location, {"interval": 1000}, reloadUserstyles)
+        }
+        return {"css": readFile(location) || "", file}
+    })
+}
+
+const applyUserstyles = webview => {
+    if (webview.userstyleKey) {
+        webview.removeInsertedCSS(webview.userstyleKey).catch(() => null)
+        webview.userstyleKey = null
+    }
+    if (!enabled || pathToSpecialPageName(webview.src).name) {
+        return
+    }
+    const css = userstyles.filter(s => !disabledFiles.includes(s.file))
+        .map(s => userstyleForUrl(s.file.replace(/\.css$/, ""), s.css,
+            webview.src)).filter(c => c).join("\n")
+    if (css) {
+        webview.insertCSS(css).then(key => {
+            webview.userstyleKey = key
+        }).catch(() => null)
+    }
+}
+
+const applyToAllPages = () => {
+    listPages().filter(p => p.getAttribute("dom-ready"))
+        .forEach(p => applyUserstyles(p))
+}
+
+const reloadUserstyles = () => {
+    loadUserstyles()
+    applyToAllPages()
+}
+
+const toggleUserstyles = (...args) => {
+    if (args.length === 0) {
+        enabled = !enabled
+        if (enabled) {
+            notify("Userstyles enabled")
+        } else {
+            notify("Userstyles disabled")
+        }
+        applyToAllPages()
+        return
+    }
+    const files = args.map(f => f.replace(/(\.css)?$/, ".css"))
+    const unknown = files.find(f => !userstyles.find(s => s.file === f))
+    if (unknown) {
+        notify(`Userstyle does not exist: ${unknown}`, "warn")
+        return
+    }
+    files.forEach(file => {
+        if (disabledFiles.includes(file)) {
+            disabledFiles.splice(disabledFiles.indexOf(file), 1)
+            notify(`Userstyle enabled: ${file}`)
+        } else {
+            disabledFiles.push(file)
+            notify(`Userstyle disabled: ${file}`)
+        }
+    })
+    applyToAllPages()
+}
+
+const listUserstyleFiles = () => userstyles.map(s => s.file)
+
+module.exports = {applyUserstyles, init, listUserstyleFiles, toggleUserstyles}
@@ -20,6 +20,7 @@
 const protocolRegex = /^[a-z][a-z0-9-+.]+:\/\//
 const ipv6Regex = /^(([0-9a-fA-F]{1,4}:){7,7}[0-9a-fA-F]{1,4}|([0-9a-fA-F]{1,4}:){1,7}:|([0-9a-fA-F]{1,4}:){1,6}:[0-9a-fA-F]{1,4}|([0-9a-fA-F]{1,4}:){1,5}(:[0-9a-fA-F]{1,4}){1,2}|([0-9a-fA-F]{1,4}:){1,4}(:[0-9a-fA-F]{1,4}){1,3}|([0-9a-fA-F]{1,4}:){1,3}(:[0-9a-fA-F]{1,4}){1,4}|([0-9a-fA-F]{1,4}:){1,2}(:[0-9a-fA-F]{1,4}){1,5}|[0-9a-fA-F]{1,4}:((:[0-9a-fA-F]{1,4}){1,6})|:((:[0-9a-fA-F]{1,4}){1,7}|:)|fe80:(:[0-9a-fA-F]{0,4}){0,4}%[0-9a-zA-Z]{1,}|::(ffff(:0{1,4}){0,1}:){0,1}((25[0-5]|(2[0-4]|1{0,1}[0-9]){0,1}[0-9])\.){3,3}(25[0-5]|(2[0-4]|1{0,1}[0-9]){0,1}[0-9])|([0-9a-fA-F]{1,4}:){1,4}:((25[0-5]|(2[0-4]|1{0,1}[0-9]){0,1}[0-9])\.){3,3}(25[0-5]|(2[0-4]|1{0,1}[0-9]){0,1}[0-9]))$/
 const specialPages = [
+    "bookmarks",
     "cookies",
     "downloads",
     "extensions",
@@ -31,6 +32,7 @@ const specialPages = [
 ]
 const notificationHistory = []
 let customIcon = null
+let notificationLocation = ""
 let applicationName = ""
 let appDataPath = ""
 let homeDirPath = ""
@@ -257,6 +259,228 @@ const formatDate = dateOrString => {
         String(date.getSeconds()).padStart(2, "0")}`
 }
 
+const userscriptMetadata = code => {
+    const metadata = {
+        "connect": [],
+        "exclude": [],
+        "include": [],
+        "match": [],
+        "name": "",
+        "runAt": "document-end"
+    }
+    const block = code.match(
+        /\/\/\s*==UserScript==([\s\S]*?)\/\/\s*==\/UserScript==/)?.[1] || ""
+    block.split("\n").forEach(line => {
+        const [, key, value] = line.match(/^\s*\/\/\s*@(\S+)\s+(.+?)\s*$/) || []
+        if (["connect", "exclude", "include", "match"].includes(key)) {
+            metadata[key].push(value)
+        }
+        if (key === "name" && !metadata.name) {
+            metadata.name = value
+        }
+        const runAt = ["document-start", "document-end", "document-idle"]
+        if (key === "run-at" && runAt.includes(value)) {
+            metadata.runAt = value
+        }
+    })
+    return metadata
+}
+
+const escapeRegex = str => str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+
+const globToRegex = glob => RegExp(
+    `^${glob.split("*").map(escapeRegex).join(".*")}$`)
+
+const includePatternToRegex = pattern => {
+    // Include and exclude patterns are either globs or regexes between slashes
+    const isRegex = pattern.startsWith("/") && pattern.endsWith("/")
+    if (isRegex && pattern.length > 2) {
+        try {
+            return RegExp(pattern.slice(1, -1))
+        } catch (_) {
+            return null
+        }
+    }
+    return globToRegex(pattern)
+}
+
+const matchPatternToRegex = pattern => {
+    if (pattern === "<all_urls>") {
+        return /^(https?|file|ftp):\/\//
+    }
+    const [, scheme, host, pathname] = pattern.match(
+        /^(\*|https?|file|ftp):\/\/([^/]*)(\/.*)$/) || []
+    if (!scheme) {
+        return null
+    }
+    let schemeRegex = scheme
+    if (scheme === "*") {
+        schemeRegex = "https?"
+    }
+    let hostRegex = escapeRegex(host)
+    if (host === "*") {
+        hostRegex = "[^/]*"
+    } else if (host.startsWith("*.")) {
+        hostRegex = `([^/]*\\.)?${escapeRegex(host.slice(2))}`
+    }
+    const pathRegex = pathname.split("*").map(escapeRegex).join(".*")
+    return RegExp(`^${schemeRegex}://${hostRegex}(:\\d+)?${pathRegex}$`)
+}
+
+const userscriptMatchesUrl = (metadata, url) => {
+    const matchesAny = (patterns, toRegex) => patterns.some(
+        p => toRegex(p)?.test(url))
+    if (matchesAny(metadata.exclude, includePatternToRegex)) {
+        return false
+    }
+    if (!metadata.match.length && !metadata.include.length) {
+        return true
+    }
+    return matchesAny(metadata.match, matchPatternToRegex)
+        || matchesAny(metadata.include, includePatternToRegex)
+}
+
+const userscriptMayConnect = (metadata, url, pageUrl) => {
+    // Requests are limited to the hosts of the @connect and @match entries
+    let host = null
+    let pageHost = null
+    try {
+        host = new URL(url).hostname
+        pageHost = new URL(pageUrl).hostname
+    } catch (_) {
+        return false
+    }
+    const connectAllowed = metadata.connect.some(connect => {
+        if (connect === "*") {
+            return true
+        }
+        if (connect === "self") {
+            return host === pageHost
+        }
+        return host === connect || host.endsWith(`.${connect}`)
+    })
+    if (connectAllowed) {
+        return true
+    }
+    return metadata.match.some(pattern => {
+        if (pattern === "<all_urls>") {
+            return matchPatternToRegex(pattern).test(url)
+        }
+        const [, matchHost] = pattern.match(/^[^:]+:\/\/([^/]+)\//) || []
+        if (!matchHost) {
+            return false
+        }
+        return !!matchPatternToRegex(`*://${matchHost}/*`)?.test(url)
+    })
+}
+
+const mozDocumentMatches = (conditions, url, hostname) => {
+    const functions = /(url-prefix|url|domain|regexp)\(\s*(?:"([^"]*)"|'([^']*)'|([^)]*?))\s*\)/g
+    return [...conditions.matchAll(functions)].some(condition => {
+        const [, type, doubleQuoted, singleQuoted, unquoted] = condition
+        const value = doubleQuoted ?? singleQuoted ?? unquoted
+        if (type === "url") {
+            return url === value
+        }
+        if (type === "url-prefix") {
+            return url.startsWith(value)
+        }
+        if (type === "domain") {
+            return hostname === value || hostname.endsWith(`.${value}`)
+        }
+        try {
+            return RegExp(`^(?:${value.replace(/\\\\/g, "\\")})$`).test(url)
+        } catch (_) {
+            return false
+        }
+    })
+}
+
+const userstyleForUrl = (name, css, url) => {
+    // Rules outside of @-moz-document blocks apply to the domain of the file,
+    // or to all pages for the global file, blocks are checked for each url
+    let hostname = ""
+    try {
+        ({hostname} = new URL(url))
+    } catch (_) {
+        return ""
+    }
+    const source = css.replace(/\/\*[\s\S]*?\*\//g, "")
+    const blockStart = /@(-moz-)?document\s/g
+    const styles = []
+    let topLevel = ""
+    let position = 0
+    let match = blockStart.exec(source)
+    while (match) {
+        const open = source.indexOf("{", match.index)
+        if (open === -1) {
+            break
+        }
+        let depth = 1
+        let end = open + 1
+        while (end < source.length && depth > 0) {
+            if (source[end] === "{") {
+                depth += 1
+            } else if (source[end] === "}") {
+                depth -= 1
+            }
+            end += 1
+        }
+        topLevel += source.slice(position, match.index)
+        const conditions = source.slice(match.index, open)
+        if (mozDocumentMatches(conditions, url, hostname)) {
+            styles.push(source.slice(open + 1, end - 1).trim())
+        }
+        position = end
+        blockStart.lastIndex = end
+        match = blockStart.exec(source)
+    }
+    topLevel += source.slice(position)
+    if (name === "global" || hostname === name
+        || hostname.endsWith(`.${name}`)) {
+        styles.unshift(topLevel.trim())
+    }
+    return styles.filter(s => s).join("\n")
+}
+
+const followLabels = (total, chars) => {
+    // Labels are prefix-free and as short as possible for the given alphabet,
+    // by replacing the first label with all labels that are one char longer
+    const alphabet = [...new Set(chars)]
+    if (alphabet.length < 2) {
+        return []
+    }
+    const labels = [""]
+    let offset = 0
+    while (labels.length - offset < total || labels.length === 1) {
+        const label = labels[offset]
+        offset += 1
+        labels.push(...alphabet.map(c => label + c))
+    }
+    return labels.slice(offset, offset + total)
+}
+
+const pageFilename = (template, url, pageTitle, date = new Date()) => {
+    let host = ""
+    let file = ""
+    try {
+        const parsed = new URL(url)
+        host = parsed.hostname
+        // The extension of the file is replaced by the one of the format
+        file = parsed.pathname.split("/").pop().replace(/\.[^.]+$/, "")
+    } catch (_) {
+        // Invalid urls only have a title and a date
+    }
+    const tokens = {
+        "date": formatDate(date).replace(/:/g, "-"),
+        file,
+        host,
+        "title": pageTitle || ""
+    }
+    return template.replace(/%(title|host|file|date)/g, (_, t) => tokens[t])
+        .replace(/[/\\]/g, "-").replace(/\s+/g, " ").trim()
+}
+
 const storeFrameInfo = (element, options) => {
     if (!element) {
         return
@@ -296,19 +520,24 @@ const propPixels = (element, prop) => {
 const findElementAtPosition = (x, y, levels = [document], px = 0, py = 0) => {
     // Find out which element is located at a given position.
     // Will look inside subframes recursively at the corrected position.
+    // Cross-origin frames can't be entered, so the frame itself is returned.
     const elementAtPos = levels?.[0]?.elementFromPoint(x - px, y - py)
-    if (levels.includes(elementAtPos?.shadowRoot || elementAtPos)) {
+    const shadowRoot = elementAtPos?.shadowRoot
+    if (levels.includes(shadowRoot || elementAtPos)) {
         return elementAtPos
     }
     if (elementAtPos?.matches?.(frameSelector)) {
+        if (!elementAtPos.contentDocument) {
+            return elementAtPos
+        }
         const frameInfo = findFrameInfo(elementAtPos) || {}
         return findElementAtPosition(x, y,
             [elementAtPos.contentDocument, ...levels], frameInfo.x, frameInfo.y)
     }
-    if (elementAtPos?.shadowRoot) {
-        const frameInfo = findFrameInfo(elementAtPos.shadowRoot) || {}
+    if (shadowRoot) {
+        const frameInfo = findFrameInfo(shadowRoot) || {}
         return findElementAtPosition(x, y,
-            [elementAtPos.shadowRoot, ...levels], frameInfo.x, frameInfo.y)
+            [shadowRoot, ...levels], frameInfo.x, frameInfo.y)
     }
     return elementAtPos
 }
@@ -324,17 +553,18 @@ const querySelectorAll = (sel, base = document, paddedX = 0, paddedY = 0) => {
     Array.from(base.querySelectorAll("*") || [])
         .filter(el => el.shadowRoot || el?.matches?.(frameSelector))
         .forEach(el => {
+            const {shadowRoot} = el
             let location = {"x": paddedX, "y": paddedY}
-            if (!el.shadowRoot) {
+            if (!shadowRoot) {
                 const {"x": frameX, "y": frameY} = framePosition(el)
                 location = {"x": frameX + paddedX, "y": frameY + paddedY}
             }
-            storeFrameInfo(el?.shadowRoot || el, location)
-            const extra = Array.from((el.contentDocument || el.shadowRoot)
+            storeFrameInfo(shadowRoot || el, location)
+            const extra = Array.from((el.contentDocument || shadowRoot)
                 ?.querySelectorAll(sel) || [])
             extra.forEach(e => storeFrameInfo(e, location))
             elements = elements.concat([...extra, ...querySelectorAll(sel,
-                el.contentDocument || el.shadowRoot,
+                el.contentDocument || shadowRoot,
                 location.x, location.y)])
         })
     return elements
@@ -361,13 +591,20 @@ const findClickPosition = (element, rects) => {
     return {clickable, dimensions}
 }
 
-const activeElement = () => {
-    if (document.activeElement?.shadowRoot?.activeElement) {
-        return document.activeElement.shadowRoot.activeElement
+const shadowActiveElement = doc => {
+    // Focused elements can be nested inside multiple levels of shadow roots
+    let active = doc.activeElement
+    while (active?.shadowRoot?.activeElement) {
+        active = active.shadowRoot.activeElement
     }
-    if (document.activeElement !== document.body) {
-        if (!document.activeElement?.matches(frameSelector)) {
-            return document.activeElement
+    return active
+}
+
+const activeElement = () => {
+    const active = shadowActiveElement(document)
+    if (active !== document.body) {
+        if (!active?.matches(frameSelector)) {
+            return active
         }
     }
     return querySelectorAll(frameSelector).map(frame => {
@@ -375,12 +612,10 @@ const activeElement = () => {
         if (!doc) {
             return false
         }
-        if (doc.activeElement?.shadowRoot?.activeElement) {
-            return doc.activeElement.shadowRoot.activeElement
-        }
-        if (doc.body !== doc.activeElement) {
-            if (!doc.activeElement.matches(frameSelector)) {
-                return doc.activeElement
+        const frameActive = shadowActiveElement(doc)
+        if (doc.body !== frameActive) {
+            if (!frameActive?.matches(frameSelector)) {
+                return frameActive
             }
         }
         return false
@@ -418,10 +653,26 @@ const extractZip = (args, cb) => {
 
 // IPC UTIL
 
-const notify = (message, type = "info", clickAction = false) => {
+const notifyFromLocation = (location, callback) => {
+    // Warnings and errors of the callback will mention the location,
+    // such as the file and line of the config file that is being sourced
+    const previous = notificationLocation
+    notificationLocation = location
+    try {
+        return callback()
+    } finally {
+        notificationLocation = previous
+    }
+}
+
+const notify = (text, type = "info", clickAction = false) => {
     if (getSetting("notificationduration") === 0) {
         return
     }
+    let message = text
+    if (type.startsWith("warn") || type.startsWith("err")) {
+        message += notificationLocation
+    }
     let properType = "info"
     if (type.startsWith("perm")) {
         properType = "permission"
@@ -733,6 +984,12 @@ module.exports = {
     firefoxUseragent,
     sameDomain,
     formatDate,
+    userscriptMetadata,
+    userscriptMatchesUrl,
+    userscriptMayConnect,
+    userstyleForUrl,
+    followLabels,
+    pageFilename,
     findFrameInfo,
     propPixels,
     findElementAtPosition,
@@ -743,6 +1000,7 @@ module.exports = {
     extractZip,
     // IPC UTIL
     notify,
+    notifyFromLocation,
     appIcon,
     appName,
     appData,
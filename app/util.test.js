@@ -252,6 +252,158 @@ test("sameDomain function should match urls that have the same domain", () => {
         "https://google.com/test", "http://www.google.com/search")).toBe(true)
 })
 
+test("Userscript metadata should be parsed from the header block", () => {
+    const metadata = UTIL.userscriptMetadata([
+        "// ==UserScript==",
+        "// @name         Example script",
+        "// @match        https://*.example.com/*",
+        "// @include      /^https://github\\.com/",
+        "// @exclude      https://example.com/private*",
+        "// @connect      api.example.org",
+        "// @run-at       document-idle",
+        "// ==/UserScript==",
+        "// @match        https://ignored.com/*"
+    ].join("\n"))
+    expect(metadata).toEqual({
+        "connect": ["api.example.org"],
+        "exclude": ["https://example.com/private*"],
+        "include": ["/^https://github\\.com/"],
+        "match": ["https://*.example.com/*"],
+        "name": "Example script",
+        "runAt": "document-idle"
+    })
+    expect(UTIL.userscriptMetadata("alert(1)").runAt).toBe("document-end")
+})
+
+test("Userscripts should only match urls allowed by their patterns", () => {
+    const metadata = {
+        "exclude": ["https://example.com/private*"],
+        "include": ["/^https://github\\.com/", "http://*.test/page"],
+        "match": ["*://*.example.com/*"]
+    }
+    expect(UTIL.userscriptMatchesUrl(
+        metadata, "https://example.com/")).toBe(true)
+    expect(UTIL.userscriptMatchesUrl(
+        metadata, "http://sub.example.com:8080/path?q=1")).toBe(true)
+    expect(UTIL.userscriptMatchesUrl(
+        metadata, "https://example.com/private/page")).toBe(false)
+    expect(UTIL.userscriptMatchesUrl(
+        metadata, "https://notexample.com/")).toBe(false)
+    expect(UTIL.userscriptMatchesUrl(
+        metadata, "https://github.com/Jelmerro/Vieb")).toBe(true)
+    expect(UTIL.userscriptMatchesUrl(
+        metadata, "http://www.test/page")).toBe(true)
+    expect(UTIL.userscriptMatchesUrl(
+        metadata, "http://www.test/page/other")).toBe(false)
+    expect(UTIL.userscriptMatchesUrl({
+        "exclude": [], "include": [], "match": []
+    }, "https://any.site/")).toBe(true)
+})
+
+test("Userscript requests should only go to @connect and @match hosts", () => {
+    const metadata = {
+        "connect": ["example.org", "self"],
+        "match": ["*://*.example.com/*", "file:///home/*"]
+    }
+    const page = "https://vieb.dev/page"
+    expect(UTIL.userscriptMayConnect(
+        metadata, "https://example.org/api", page)).toBe(true)
+    expect(UTIL.userscriptMayConnect(
+        metadata, "https://sub.example.org/api", page)).toBe(true)
+    expect(UTIL.userscriptMayConnect(
+        metadata, "https://notexample.org/api", page)).toBe(false)
+    expect(UTIL.userscriptMayConnect(
+        metadata, "https://vieb.dev/other", page)).toBe(true)
+    expect(UTIL.userscriptMayConnect(
+        metadata, "http://www.example.com/any/path", page)).toBe(true)
+    expect(UTIL.userscriptMayConnect(
+        metadata, "https://google.com/", page)).toBe(false)
+    expect(UTIL.userscriptMayConnect(
+        metadata, "not a url", page)).toBe(false)
+    expect(UTIL.userscriptMayConnect({
+        "connect": ["*"], "match": []
+    }, "https://google.com/", page)).toBe(true)
+})
+
+test("Userstyles should apply by filename and @-moz-document rules", () => {
+    const css = [
+        "body {color: red;}",
+        "/* @-moz-document domain(ignored.com) {} */",
+        "@-moz-document domain(example.com), url-prefix(\"https://a.b/c\") {",
+        "    a {color: blue;}",
+        "    @media print {a {color: black;}}",
+        "}",
+        "@-moz-document regexp(\"https://d\\\\.e/.*\") {p {margin: 0;}}"
+    ].join("\n")
+    expect(UTIL.userstyleForUrl("github.com", css, "https://github.com/"))
+        .toBe("body {color: red;}")
+    expect(UTIL.userstyleForUrl("github.com", css, "https://x.example.com/"))
+        .toBe("a {color: blue;}\n    @media print {a {color: black;}}")
+    expect(UTIL.userstyleForUrl("global", css, "https://a.b/c/d"))
+        .toBe("body {color: red;}\na {color: blue;}\n"
+            + "    @media print {a {color: black;}}")
+    expect(UTIL.userstyleForUrl("github.com", css, "https://d.e/f"))
+        .toBe("p {margin: 0;}")
+    expect(UTIL.userstyleForUrl("github.com", css, "https://dxe/f"))
+        .toBe("")
+    expect(UTIL.userstyleForUrl("github.com", css, "not a url")).toBe("")
+})
+
+test("Follow labels should be prefix-free and as short as possible", () => {
+    expect(UTIL.followLabels(3, "asdf")).toEqual(["a", "s", "d"])
+    expect(UTIL.followLabels(6, "abc")).toEqual(
+        ["c", "aa", "ab", "ac", "ba", "bb"])
+    expect(UTIL.followLabels(0, "abc")).toEqual([])
+    expect(UTIL.followLabels(5, "a")).toEqual([])
+    const labels = UTIL.followLabels(1000, "asdfghjkl")
+    expect(new Set(labels).size).toBe(1000)
+    expect(labels.some(l => labels.some(
+        o => o !== l && o.startsWith(l)))).toBe(false)
+    expect(Math.max(...labels.map(l => l.length))).toBe(4)
+})
+
+test("Page filenames should be generated from the template", () => {
+    const date = new Date(2021, 5, 1, 12, 30, 5)
+    expect(UTIL.pageFilename("%host %file",
+        "https://github.com/Jelmerro/Vieb?tab=readme", "Vieb", date))
+        .toBe("github.com Vieb")
+    expect(UTIL.pageFilename("%title (%date)",
+        "https://example.com/", "Input/Output  page", date))
+        .toBe("Input-Output page (2021-06-01 12-30-05)")
+    expect(UTIL.pageFilename("%host %file",
+        "https://example.com/blog/post.php", "", date))
+        .toBe("example.com post")
+    expect(UTIL.pageFilename("%host %file",
+        "https://docs.python.org/3/", "", date)).toBe("docs.python.org")
+    expect(UTIL.pageFilename("%host %file", "not a url", "", date)).toBe("")
+})
+
+test("Elements inside open shadow roots should be found", () => {
+    document.body.innerHTML = "<a id=\"outer\"></a><div id=\"host\"></div>"
+    const host = document.getElementById("host")
+    const root = host.attachShadow({"mode": "open"})
+    root.innerHTML = "<a id=\"inner\"></a><div id=\"nested\"></div>"
+    const nestedHost = root.getElementById("nested")
+    const nested = nestedHost.attachShadow({"mode": "open"})
+    nested.innerHTML = "<input id=\"deep\">"
+    const deep = nested.getElementById("deep")
+    expect(UTIL.querySelectorAll("a").map(e => e.id)).toEqual(
+        ["outer", "inner"])
+    expect(UTIL.querySelectorAll("input")).toEqual([deep])
+    // Jsdom has no layout, so the element at each position is picked here
+    document.elementFromPoint = () => host
+    root.elementFromPoint = () => nestedHost
+    nested.elementFromPoint = () => deep
+    expect(UTIL.findElementAtPosition(10, 10)).toBe(deep)
+    root.elementFromPoint = () => root.getElementById("inner")
+    expect(UTIL.findElementAtPosition(10, 10)).toBe(
+        root.getElementById("inner"))
+    delete document.elementFromPoint
+    deep.focus()
+    expect(UTIL.activeElement()).toBe(deep)
+    document.body.innerHTML = ""
+})
+
 test(`Expand path to resolve homedir and downloads`, () => {
     sessionStorage.setItem("settings", JSON.stringify({
         "downloadpath": `~${path.sep}Downloads${path.sep}`